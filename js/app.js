@@ -7,7 +7,8 @@
 const CryptoCore = {
     config: {
         algo: { name: 'AES-GCM', length: 256 },
-        pbkdf2: { name: 'PBKDF2', hash: 'SHA-256', iterations: 200000 }, // Increased iterations for security
+        pbkdf2: { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000 }, // Current default; stored vaults record their own
+        legacyPbkdf2: { name: 'PBKDF2', hash: 'SHA-256', iterations: 200000 }, // Vaults written before the header existed
         saltLen: 16
     },
 
@@ -15,13 +16,14 @@ const CryptoCore = {
         return window.crypto.getRandomValues(new Uint8Array(this.config.saltLen));
     },
 
-    async deriveKey(pin, salt) {
+    async deriveKey(pin, salt, kdf = this.config.pbkdf2) {
+        if (kdf.name !== 'PBKDF2') throw new Error(`Unsupported KDF: ${kdf.name}`);
         const enc = new TextEncoder();
         const keyMaterial = await window.crypto.subtle.importKey(
             'raw', enc.encode(pin), { name: 'PBKDF2' }, false, ['deriveKey']
         );
         return window.crypto.subtle.deriveKey(
-            { ...this.config.pbkdf2, salt: salt },
+            { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: salt },
             keyMaterial,
             this.config.algo,
             false,
@@ -29,6 +31,51 @@ const CryptoCore = {
         );
     },
 
+    // True when stored parameters are weaker than (or different from) the current defaults
+    isKdfOutdated(kdf) {
+        const current = this.config.pbkdf2;
+        return kdf.name !== current.name || kdf.hash !== current.hash || kdf.iterations < current.iterations;
+    },
+
+    // --- Key wrapping ---
+    // A random data key encrypts the vault. It is extractable so it can be wrapped by
+    // PIN/recovery derived keys and parked in chrome.storage.session while unlocked.
+    generateDataKey() {
+        return window.crypto.subtle.generateKey(this.config.algo, true, ['encrypt', 'decrypt']);
+    },
+
+    async wrapKey(dataKey, wrappingKey) {
+        return this.encrypt(await this.exportRawKey(dataKey), wrappingKey);
+    },
+
+    async unwrapKey(wrapped, wrappingKey) {
+        return this.importRawKey(await this.decrypt(wrapped, wrappingKey));
+    },
+
+    // 160 random bits as Crockford base32, grouped for readability: XXXX-XXXX-...
+    generateRecoveryCode() {
+        const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+        const bytes = window.crypto.getRandomValues(new Uint8Array(20));
+        let bits = '';
+        bytes.forEach(b => bits += b.toString(2).padStart(8, '0'));
+        let code = '';
+        for (let i = 0; i < bits.length; i += 5) code += alphabet[parseInt(bits.slice(i, i + 5), 2)];
+        return code.match(/.{4}/g).join('-');
+    },
+
+    normalizeRecoveryCode(input) {
+        const compact = input.toUpperCase().replace(/[^0-9A-Z]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+        return compact.match(/.{1,4}/g)?.join('-') || '';
+    },
+
+    async exportRawKey(key) {
+        return this.toBase64(new Uint8Array(await window.crypto.subtle.exportKey('raw', key)));
+    },
+
+    importRawKey(b64) {
+        return window.crypto.subtle.importKey('raw', this.fromBase64(b64), this.config.algo, true, ['encrypt', 'decrypt']);
+    },
+
     async encrypt(data, key) {
         const iv = window.crypto.getRandomValues(new Uint8Array(12)); // Unique IV per encryption
         const enc = new TextEncoder();
@@ -39,14 +86,16 @@ const CryptoCore = {
         );
 
         return {
-            iv: Array.from(iv),
-            content: Array.from(new Uint8Array(encryptedContent))
+            iv: this.toBase64(iv),
+            content: this.toBase64(new Uint8Array(encryptedContent))
         };
     },
 
+    // Accepts base64 strings as well as the number arrays written by older versions
     async decrypt(encryptedObj, key) {
-        const iv = new Uint8Array(encryptedObj.iv);
-        const data = new Uint8Array(encryptedObj.content);
+        const decode = (v) => typeof v === 'string' ? this.fromBase64(v) : new Uint8Array(v);
+        const iv = decode(encryptedObj.iv);
+        const data = decode(encryptedObj.content);
 
         try {
             const decryptedContent = await window.crypto.subtle.decrypt(
@@ -57,18 +106,617 @@ const CryptoCore = {
         } catch (e) {
             throw new Error('Decryption failed. Invalid PIN or corrupted data.');
         }
+    },
+
+    // --- Pending queue (asymmetric) ---
+    // The background worker seals clips to the vault's public key (ephemeral ECDH -> AES-GCM),
+    // so only the private key stored inside the vault can open them.
+    pendingAlgo: { name: 'ECDH', namedCurve: 'P-256' },
+
+    async generatePendingKeyPair() {
+        const pair = await window.crypto.subtle.generateKey(this.pendingAlgo, true, ['deriveKey']);
+        return {
+            publicJwk: await window.crypto.subtle.exportKey('jwk', pair.publicKey),
+            privateJwk: await window.crypto.subtle.exportKey('jwk', pair.privateKey)
+        };
+    },
+
+    importPendingPrivateKey(jwk) {
+        return window.crypto.subtle.importKey('jwk', jwk, this.pendingAlgo, false, ['deriveKey']);
+    },
+
+    async openSealed(sealed, privateKey) {
+        const epk = await window.crypto.subtle.importKey('jwk', sealed.epk, this.pendingAlgo, false, []);
+        const key = await window.crypto.subtle.deriveKey(
+            { name: 'ECDH', public: epk }, privateKey, this.config.algo, false, ['decrypt']
+        );
+        const plain = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) }, key, this.fromBase64(sealed.content)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    },
+
+    async sha256(text) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return this.toBase64(new Uint8Array(digest));
+    },
+
+    // Chunked to stay below the argument limit of String.fromCharCode on large payloads
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    fromBase64(str) {
+        const binary = atob(str);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+};
+
+// --- BACKUP MODULE ---
+// Versioned, passphrase-protected export format. The header (format, version, KDF, salt, iv)
+// is bound to the ciphertext as AES-GCM additional data, and `integrity` hashes header + ciphertext
+// so a damaged file can be told apart from a wrong passphrase.
+const BackupCore = {
+    FORMAT: 'modcore-clipboard-backup',
+    VERSION: 1,
+    MIN_PASSPHRASE: 8,
+    MAX_ITERATIONS: 10000000, // Backup files are untrusted; a huge count would hang the popup in PBKDF2
+
+    isBackup(obj) {
+        return !!obj && typeof obj === 'object' && !Array.isArray(obj) && obj.format === this.FORMAT;
+    },
+
+    header(obj) {
+        return JSON.stringify({ format: obj.format, version: obj.version, kdf: obj.kdf, salt: obj.salt, iv: obj.iv });
+    },
+
+    async create(snippets, passphrase) {
+        const salt = CryptoCore.generateSalt();
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const kdf = { name: 'PBKDF2', hash: CryptoCore.config.pbkdf2.hash, iterations: CryptoCore.config.pbkdf2.iterations };
+        const key = await CryptoCore.deriveKey(passphrase, salt, kdf);
+
+        const backup = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            kdf,
+            salt: CryptoCore.toBase64(salt),
+            iv: CryptoCore.toBase64(iv)
+        };
+        const payload = new TextEncoder().encode(JSON.stringify({ createdAt: Date.now(), snippets }));
+        const ciphertext = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(this.header(backup)) }, key, payload
+        );
+
+        backup.ciphertext = CryptoCore.toBase64(new Uint8Array(ciphertext));
+        backup.integrity = { algo: 'SHA-256', digest: await CryptoCore.sha256(this.header(backup) + backup.ciphertext) };
+        return backup;
+    },
+
+    async open(backup, passphrase) {
+        if (backup.version !== this.VERSION) throw new Error(`Unsupported backup version: ${backup.version}`);
+        const kdf = backup.kdf || {};
+        if (kdf.name !== 'PBKDF2' || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > this.MAX_ITERATIONS) {
+            throw new Error('Unsupported key derivation parameters');
+        }
+        if (typeof backup.ciphertext !== 'string' || !backup.integrity) throw new Error('Backup file is incomplete');
+
+        const digest = await CryptoCore.sha256(this.header(backup) + backup.ciphertext);
+        if (digest !== backup.integrity.digest) throw new Error('Backup file is corrupted');
+
+        const key = await CryptoCore.deriveKey(passphrase, CryptoCore.fromBase64(backup.salt), kdf);
+        let plain;
+        try {
+            plain = await window.crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: CryptoCore.fromBase64(backup.iv),
+                    additionalData: new TextEncoder().encode(this.header(backup))
+                },
+                key,
+                CryptoCore.fromBase64(backup.ciphertext)
+            );
+        } catch (e) {
+            throw new Error('Wrong passphrase');
+        }
+
+        const payload = JSON.parse(new TextDecoder().decode(plain));
+        if (!payload || !Array.isArray(payload.snippets)) throw new Error('Invalid backup payload');
+        return payload.snippets;
+    }
+};
+
+// --- VAULTS ---
+// Named vaults each have their own header (salt, PIN), records, settings and capture queue,
+// stored under the vault's key prefix. The first vault keeps the unprefixed keys it had before
+// vaults existed. The unencrypted `vaults` registry lists them and marks the active one: the
+// vault the popup opens and the background worker captures into.
+const Vaults = {
+    KEY: 'vaults',
+    PREFIX: 'vault:',
+    DEFAULT: { id: 'default', name: 'Personal', prefix: '' },
+    NAME_MAX_LENGTH: 40,
+    current: null,          // Registry entry of the vault this popup works on
+
+    async registry() {
+        const { vaults } = await chrome.storage.local.get(this.KEY);
+        return vaults && vaults.list && vaults.list.length ? vaults : { list: [{ ...this.DEFAULT }], active: this.DEFAULT.id };
+    },
+
+    async saveRegistry(registry) {
+        await chrome.storage.local.set({ [this.KEY]: registry });
+    },
+
+    // Makes `id` (or the active vault) current and active
+    async select(id = null) {
+        const registry = await this.registry();
+        this.current = registry.list.find(v => v.id === (id || registry.active)) || registry.list[0];
+        if (registry.active !== this.current.id) {
+            registry.active = this.current.id;
+            await this.saveRegistry(registry);
+        }
+        return this.current;
+    },
+
+    key(name, vault = this.current) {
+        return vault.prefix + name;
+    },
+
+    // get/set/remove take unprefixed names, like chrome.storage.local does for a single vault
+    async get(names, vault = this.current, area = chrome.storage.local) {
+        names = [].concat(names);
+        const stored = await area.get(names.map(n => this.key(n, vault)));
+        return Object.fromEntries(names.map(n => [n, stored[this.key(n, vault)]]));
+    },
+
+    async set(values, vault = this.current, area = chrome.storage.local) {
+        await area.set(Object.fromEntries(Object.entries(values).map(([n, v]) => [this.key(n, vault), v])));
+    },
+
+    async remove(names, vault = this.current, area = chrome.storage.local) {
+        await area.remove([].concat(names).map(n => this.key(n, vault)));
+    },
+
+    // Every stored key belonging to `vault`
+    async keysOf(vault = this.current) {
+        const all = Object.keys(await chrome.storage.local.get(null));
+        if (vault.prefix) return all.filter(k => k.startsWith(vault.prefix));
+        return all.filter(k => k !== this.KEY && !k.startsWith(this.PREFIX));
+    },
+
+    async isSetUp(vault = this.current) {
+        const { vaultHeader, salt } = await this.get(['vaultHeader', 'salt'], vault);
+        return !!(vaultHeader || salt);
+    },
+
+    async isUnlocked(vault) {
+        const { sessionKey } = await this.get('sessionKey', vault, chrome.storage.session);
+        return !!sessionKey;
+    },
+
+    async create(name) {
+        const registry = await this.registry();
+        const id = window.crypto.randomUUID().slice(0, 8);
+        const vault = { id, name, prefix: `${this.PREFIX}${id}:` };
+        registry.list.push(vault);
+        await this.saveRegistry(registry);
+        return vault;
+    },
+
+    async rename(id, name) {
+        const registry = await this.registry();
+        const vault = registry.list.find(v => v.id === id);
+        vault.name = name;
+        await this.saveRegistry(registry);
+        if (this.current && this.current.id === id) this.current.name = name;
+    },
+
+    // Erases a vault's data. It leaves the registry unless others remain, so there is always one.
+    async wipe(vault) {
+        await chrome.storage.local.remove(await this.keysOf(vault));
+        await this.remove('sessionKey', vault, chrome.storage.session);
+        const registry = await this.registry();
+        if (registry.list.length < 2) return;
+        registry.list = registry.list.filter(v => v.id !== vault.id);
+        if (registry.active === vault.id) registry.active = registry.list[0].id;
+        await this.saveRegistry(registry);
+    },
+
+    validateName(name, registry, except = null) {
+        const clean = String(name || '').trim();
+        if (!clean) return { error: 'Enter a name' };
+        if (clean.length > this.NAME_MAX_LENGTH) return { error: `Name must be at most ${this.NAME_MAX_LENGTH} characters` };
+        if (registry.list.some(v => v.id !== except && v.name.toLowerCase() === clean.toLowerCase())) {
+            return { error: 'A vault with that name already exists' };
+        }
+        return { name: clean };
+    }
+};
+
+// --- RECORD STORE ---
+// An encrypted list kept as one entry per item under `<prefix><id>`, plus an encrypted index
+// holding the ids in order. Saves only rewrite items whose plaintext changed since the last write.
+// Used for the vault's snippets and for the trash.
+function createRecordStore(prefix, indexName) {
+    return {
+        indexName,
+        persisted: new Map(),   // id -> JSON last written; plaintext, cleared on lock
+        persistedIndex: null,
+
+        recordKey(id) {
+            return prefix + id;
+        },
+
+        async load(key) {
+            const { [indexName]: index } = await Vaults.get(indexName);
+            const ids = index ? await CryptoCore.decrypt(index, key) : [];
+            const stored = await Vaults.get(ids.map(id => this.recordKey(id)));
+            const items = [];
+            this.persisted.clear();
+            for (const id of ids) {
+                const record = stored[this.recordKey(id)];
+                if (!record) continue;
+                const item = await CryptoCore.decrypt(record, key);
+                items.push(item);
+                this.persisted.set(id, JSON.stringify(item));
+            }
+            this.persistedIndex = JSON.stringify(ids);
+            return items;
+        },
+
+        // Storage entries for the complete list, for first writes and migrations
+        async buildAll(items, key) {
+            const update = {};
+            for (const item of items) {
+                update[this.recordKey(item.id)] = await CryptoCore.encrypt(item, key);
+            }
+            update[indexName] = await CryptoCore.encrypt(items.map(s => s.id), key);
+            return update;
+        },
+
+        // Marks `items` as what is currently on disk
+        markPersisted(items) {
+            this.persisted = new Map(items.map(s => [s.id, JSON.stringify(s)]));
+            this.persistedIndex = JSON.stringify(items.map(s => s.id));
+        },
+
+        async save(items, key) {
+            const update = {};
+            const next = new Map();
+            for (const item of items) {
+                const json = JSON.stringify(item);
+                next.set(item.id, json);
+                if (this.persisted.get(item.id) !== json) {
+                    update[this.recordKey(item.id)] = await CryptoCore.encrypt(item, key);
+                }
+            }
+
+            const ids = items.map(s => s.id);
+            const index = JSON.stringify(ids);
+            if (index !== this.persistedIndex) {
+                // Ids another popup wrote since our load (e.g. snippets moved in from another vault)
+                // are kept, so this window's older view of the list cannot orphan them
+                const { [indexName]: stored } = await Vaults.get(indexName);
+                const known = new Set([...this.persisted.keys(), ...ids]);
+                const foreign = stored ? (await CryptoCore.decrypt(stored, key)).filter(id => !known.has(id)) : [];
+                update[indexName] = await CryptoCore.encrypt([...foreign, ...ids], key);
+            }
+            const removed = [...this.persisted.keys()].filter(id => !next.has(id)).map(id => this.recordKey(id));
+
+            // Index is written with the new records, before stale ones are removed
+            if (Object.keys(update).length) await Vaults.set(update);
+            if (removed.length) await Vaults.remove(removed);
+            this.persisted = next;
+            this.persistedIndex = index;
+        },
+
+        clear() {
+            this.persisted.clear();
+            this.persistedIndex = null;
+        }
+    };
+}
+
+// --- VAULT STORAGE ---
+// Storage format 2: every snippet is encrypted on its own under `snip:<id>`, and an encrypted
+// `vaultIndex` keeps the list order (see createRecordStore). Format 1 kept everything in a
+// single `encryptedData` blob.
+const VaultStore = {
+    FORMAT: 2,
+    format: null,           // Format of the vault currently open (1 if migration was rolled back)
+    records: createRecordStore('snip:', 'vaultIndex'),
+
+    recordKey(id) {
+        return this.records.recordKey(id);
+    },
+
+    async load(key) {
+        const { storageFormat, encryptedData } = await Vaults.get(['storageFormat', 'encryptedData']);
+
+        if (storageFormat !== this.FORMAT) {
+            const snippets = encryptedData ? await CryptoCore.decrypt(encryptedData, key) : [];
+            await this.migrate(snippets, key);
+            return snippets;
+        }
+
+        const snippets = await this.records.load(key);
+        this.format = this.FORMAT;
+        return snippets;
+    },
+
+    // Storage entries for a complete vault, for first writes and migrations
+    async buildAll(snippets, key) {
+        return { storageFormat: this.FORMAT, ...(await this.records.buildAll(snippets, key)) };
+    },
+
+    // Marks `snippets` as what is currently on disk
+    markPersisted(snippets) {
+        this.records.markPersisted(snippets);
+        this.format = this.FORMAT;
+    },
+
+    // One-time move from the format 1 blob. On failure the written records are removed
+    // and the blob is left untouched, so the vault keeps working in format 1.
+    async migrate(snippets, key) {
+        let update = {};
+        try {
+            update = await this.buildAll(snippets, key);
+            await Vaults.set(update);
+            await Vaults.remove('encryptedData');
+            this.markPersisted(snippets);
+        } catch (e) {
+            console.error('Storage migration failed, rolling back', e);
+            await Vaults.remove(Object.keys(update)).catch(() => {});
+            this.format = 1;
+        }
+    },
+
+    async save(snippets, key) {
+        if (this.format !== this.FORMAT) {
+            await Vaults.set({ encryptedData: await CryptoCore.encrypt(snippets, key) });
+            return;
+        }
+        await this.records.save(snippets, key);
+    },
+
+    clear() {
+        this.records.clear();
+        this.format = null;
+    }
+};
+
+// --- REVISION HISTORY ---
+// Prior versions of a snippet are kept newest-first under `hist:<id>`, encrypted with the vault
+// key like the records, and only read when the history panel opens. Image revisions leave out
+// the picture while it is unchanged, so a caption edit does not copy the image.
+const History = {
+    PREFIX: 'hist:',
+    FIELDS: ['type', 'content', 'metaText', 'html', 'language', 'tags'],
+    IMAGE_FIELDS: ['content', 'thumbnail', 'hash', 'original'],
+
+    storageKey(id) {
+        return this.PREFIX + id;
+    },
+
+    // The editable part of `snip`; `next` is the version replacing it
+    snapshot(snip, next) {
+        const rev = { savedAt: snip.updatedAt };
+        const keepImage = snip.type === 'image' && !(next.type === 'image' && next.content === snip.content);
+        for (const f of [...this.FIELDS, ...(keepImage ? this.IMAGE_FIELDS : [])]) {
+            if (snip[f] !== undefined && snip[f] !== null) rev[f] = snip[f];
+        }
+        if (snip.type === 'image' && !keepImage) delete rev.content;
+        return rev;
+    },
+
+    changed(prev, next) {
+        return this.FIELDS.some(f => JSON.stringify(prev[f] ?? null) !== JSON.stringify(next[f] ?? null));
+    },
+
+    async load(id, key) {
+        const storageKey = this.storageKey(id);
+        const { [storageKey]: stored } = await Vaults.get(storageKey);
+        return stored ? CryptoCore.decrypt(stored, key) : [];
+    },
+
+    async record(prev, next, key) {
+        const { historyLimit } = await loadSettings();
+        if (!historyLimit) return;
+        const revisions = await this.load(prev.id, key);
+        revisions.unshift(this.snapshot(prev, next));
+        await this.write(prev.id, revisions.slice(0, historyLimit), key);
+    },
+
+    async write(id, revisions, key) {
+        if (!revisions.length) return Vaults.remove(this.storageKey(id));
+        await Vaults.set({ [this.storageKey(id)]: await CryptoCore.encrypt(revisions, key) });
+    },
+
+    async remove(ids) {
+        if (ids.length) await Vaults.remove(ids.map(id => this.storageKey(id)));
+    },
+
+    // Applies a lowered cap to the histories of `ids` (every snippet and trash entry)
+    async trimAll(limit, key, ids) {
+        if (!limit) return this.remove(ids);
+        const stored = await Vaults.get(ids.map(id => this.storageKey(id)));
+        for (const id of ids) {
+            const entry = stored[this.storageKey(id)];
+            if (!entry) continue;
+            const revisions = await CryptoCore.decrypt(entry, key);
+            if (revisions.length > limit) await this.write(id, revisions.slice(0, limit), key);
+        }
+    }
+};
+
+// --- TRASH ---
+// Deleted snippets (with a `deletedAt`) are stored like vault records, under `trash:<id>` with a
+// `trashIndex`, so deleting or restoring one rewrites only that entry. They stay until restored,
+// purged, or older than the retention setting. Their history goes when they are purged.
+const Trash = createRecordStore('trash:', 'trashIndex');
+
+// Line-based diff (LCS) of `from` -> `to` as [op, line] pairs; op is ' ', '-' or '+'
+function lineDiff(from, to) {
+    const a = from.split('\n'), b = to.split('\n');
+    // The table is quadratic; very long texts are shown as a plain replacement
+    if (a.length * b.length > 1000000) return [...a.map(l => ['-', l]), ...b.map(l => ['+', l])];
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const out = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            out.push([' ', a[i]]);
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            out.push(['-', a[i++]]);
+        } else {
+            out.push(['+', b[j++]]);
+        }
+    }
+    while (i < a.length) out.push(['-', a[i++]]);
+    while (j < b.length) out.push(['+', b[j++]]);
+    return out;
+}
+
+// --- SESSION MODULE ---
+// An unlocked vault key is kept in chrome.storage.session (memory only, extension pages only)
+// so reopening the popup does not re-run PBKDF2. The background worker wipes it on auto-lock.
+// Each vault has its own `sessionKey` (prefixed), so several can be unlocked at once.
+const Session = {
+    TOUCH_INTERVAL: 30 * 1000,
+    lastTouch: 0,
+
+    async start(key) {
+        await Vaults.set({ sessionKey: await CryptoCore.exportRawKey(key) }, Vaults.current, chrome.storage.session);
+        this.touch(true);
+    },
+
+    async restore() {
+        const { sessionKey } = await Vaults.get('sessionKey', Vaults.current, chrome.storage.session);
+        if (!sessionKey) return null;
+        try {
+            return await CryptoCore.importRawKey(sessionKey);
+        } catch (e) {
+            await this.end();
+            return null;
+        }
+    },
+
+    // Resets the background idle alarm; throttled since it runs on every interaction
+    touch(force = false) {
+        if (!State.key) return;
+        const now = Date.now();
+        if (!force && now - this.lastTouch < this.TOUCH_INTERVAL) return;
+        this.lastTouch = now;
+        chrome.runtime.sendMessage({ action: 'sessionTouch' }).catch(() => {});
+    },
+
+    // Locks every vault, like the auto-lock does. Only the keys go; other session state stays.
+    async end() {
+        const stored = await chrome.storage.session.get(null);
+        await chrome.storage.session.remove(Object.keys(stored).filter(k => k.endsWith('sessionKey')));
+        chrome.runtime.sendMessage({ action: 'sessionLock' }).catch(() => {});
+    }
+};
+
+// --- UNLOCK THROTTLING ---
+// Failed unlocks are counted per vault in chrome.storage.local so the lockout survives closing
+// the popup and restarting the browser. After FREE_ATTEMPTS, each failure doubles the wait.
+const Lockout = {
+    FREE_ATTEMPTS: 3,
+    BASE_DELAY: 30 * 1000,
+    MAX_DELAY: 60 * 60 * 1000,
+    timer: null,
+
+    async get() {
+        const { authLockout } = await Vaults.get('authLockout');
+        return authLockout || { failures: 0, lockedUntil: 0 };
+    },
+
+    remaining(state) {
+        return Math.max(0, state.lockedUntil - Date.now());
+    },
+
+    async recordFailure() {
+        const state = await this.get();
+        state.failures++;
+        const over = state.failures - this.FREE_ATTEMPTS;
+        state.lockedUntil = over >= 0 ? Date.now() + Math.min(this.BASE_DELAY * 2 ** over, this.MAX_DELAY) : 0;
+        await Vaults.set({ authLockout: state });
+        return state;
+    },
+
+    async clear() {
+        await Vaults.remove('authLockout');
     }
 };
 
+// --- SETTINGS ---
+// Stored unencrypted per vault: the background worker must read them while the vault is locked
+const SETTINGS_DEFAULTS = {
+    autoLockMinutes: 15,
+    wipeAfterFailures: 0,   // 0 = never wipe
+    sortMode: 'recent',
+    // Clipboard monitor rules, served to the content script by the worker (see monitor-defaults.js)
+    ...MONITOR_DEFAULTS,
+    // Image pipeline, read by the background worker (see IMAGE_DEFAULTS there)
+    imageMaxKB: 500,        // 0 = no size cap
+    imageMaxDimension: 1920,
+    keepOriginalImages: false,
+    historyLimit: 10,       // Revisions kept per snippet, 0 = off
+    secretClearSeconds: 30, // Clear the clipboard this long after copying a secret, 0 = never
+    transformPresets: [],   // [{ name, chain }], see Transforms
+    trashRetentionDays: 30, // 0 = keep until emptied
+    // Retention rules; 0 = off. Pinned snippets are never removed.
+    autoExpireDays: 0,      // Expire `auto`-tagged clips after this many days without use
+    maxSnippets: 0,
+    maxVaultMB: 0
+};
+
+async function loadSettings() {
+    const { settings } = await Vaults.get('settings');
+    return { ...SETTINGS_DEFAULTS, ...settings };
+}
+
+async function updateSettings(patch) {
+    const settings = { ...(await loadSettings()), ...patch };
+    await Vaults.set({ settings });
+    return settings;
+}
+
 // --- STATE MANAGEMENT ---
 const State = {
     key: null,          // CryptoKey (Session only)
+    pendingKey: null,   // ECDH private key for the background pending queue (Session only)
     snippets: [],       // Decrypted data
+    trash: [],               // Soft-deleted snippets, see Trash
+    selection: null,         // Set of selected ids while in selection mode, else null
+    selectionAnchor: null,   // Last toggled id, start of a shift-click range
+    filteredIds: [],         // Ids matching the current search/tag filter, in display order
+    importPreview: null,     // { source, added } while the import preview is open
+    transform: null,         // { id, chain } while the transform menu is open
     searchQuery: '',
     pagination: { page: 1, perPage: 15 },
     pendingEditId: null,
-    currentEditType: 'text', // 'text' | 'image'
-    currentImageData: null   // Base64 string if type is image
+    currentEditType: 'text', // 'text' | 'template' | 'html' | 'code' | 'image'
+    currentImageData: null,  // Base64 string if type is image
+    currentImageMeta: null,  // { thumbnail, hash, original } for the image in the edit modal
+    currentTags: [],         // Tags of the snippet in the edit modal
+    activeTag: null,         // Tag filter bar selection
+    sortMode: 'recent'       // Key of SORT_MODES
 };
 
 // --- DOM UTILS ---
@@ -82,58 +730,173 @@ const views = {
 // --- INITIALIZATION ---
 document.addEventListener('DOMContentLoaded', async () => {
     bindEvents();
-    
+    await Vaults.select();
+    await enterVault();
+});
+
+// Opens the current vault: straight in if its session is still unlocked, else PIN or setup
+async function enterVault() {
     const isSetup = await checkSetup();
     if (isSetup) {
-        showView('auth');
-        el('auth-pin').focus();
+        if (await restoreSession()) return;
+        showAuthView();
     } else {
-        showView('onboarding');
+        showOnboarding();
     }
-});
+}
 
 function bindEvents() {
     // Auth
     el('login-form').addEventListener('submit', handleLogin);
     el('setup-form').addEventListener('submit', handleSetup);
-    el('forgot-pin-btn').addEventListener('click', () => confirmAction(
-        'Reset App?', 
-        'This will erase all encrypted data permanently. There is no way to recover data without the PIN.', 
-        handleReset
+    el('setup-pin').addEventListener('input', () => renderStrength('setup-pin'));
+    el('forgot-pin-btn').addEventListener('click', handleRecovery);
+    el('erase-vault-btn').addEventListener('click', () => confirmAction(
+        `Erase "${Vaults.current.name}"?`, 
+        'This will erase the vault\'s encrypted data permanently. Without the PIN or recovery code there is no way to recover it. Other vaults are kept.', 
+        () => handleReset('vault')
     ));
+    el('vault-select').addEventListener('change', handleVaultPick);
+    el('onboarding-cancel').addEventListener('click', cancelVaultSetup);
+
+    // Recovery Code
+    el('copy-recovery-btn').addEventListener('click', () => copyTextToClipboard(el('recovery-code').textContent));
+    el('close-recovery').addEventListener('click', () => {
+        el('recovery-code').textContent = '';
+        el('modal-recovery').classList.remove('open');
+    });
 
     // Dashboard
     el('add-snippet-btn').addEventListener('click', () => openEditModal());
-    el('settings-btn').addEventListener('click', () => el('modal-settings').classList.add('open'));
+    el('settings-btn').addEventListener('click', openSettings);
     el('search-input').addEventListener('input', handleSearch);
+    el('sort-select').addEventListener('change', handleSort);
+    el('snippet-list').addEventListener('keydown', handleListKeys);
+    el('search-input').addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            focusCard(0);
+        }
+    });
+    document.addEventListener('keydown', handleGlobalKeys);
+    el('lock-btn').addEventListener('click', () => lockVault());
 
     // Edit Modal
     el('close-modal').addEventListener('click', () => el('modal-edit').classList.remove('open'));
     el('save-snippet-btn').addEventListener('click', saveSnippet);
     el('edit-content').addEventListener('paste', handlePaste);
     el('remove-image-btn').addEventListener('click', clearImagePreview);
+    el('edit-type').addEventListener('change', handleEditTypeChange);
+    el('edit-content').addEventListener('input', refreshEditor);
+    el('edit-language').addEventListener('change', refreshEditor);
+    el('edit-tag-input').addEventListener('keydown', handleTagInput);
+    el('edit-tag-input').addEventListener('change', commitTagInput); // Datalist pick
+    el('edit-tags').addEventListener('click', () => el('edit-tag-input').focus());
+
+    // Tag Manager
+    el('close-tags').addEventListener('click', () => el('modal-tags').classList.remove('open'));
+    el('open-trash-btn').addEventListener('click', openTrash);
+    el('select-btn').addEventListener('click', () => toggleSelectMode());
+    el('bulk-all').addEventListener('click', toggleSelectAll);
+    el('bulk-done').addEventListener('click', () => toggleSelectMode(false));
+    el('bulk-actions').addEventListener('click', handleBulkAction);
+    el('close-trash').addEventListener('click', () => el('modal-trash').classList.remove('open'));
+    el('empty-trash-btn').addEventListener('click', emptyTrash);
 
     // Settings
     el('close-settings').addEventListener('click', () => el('modal-settings').classList.remove('open'));
-    el('reset-app-btn').addEventListener('click', () => confirmAction('Danger Zone', 'Reset app and wipe all data?', handleReset));
+    el('reset-app-btn').addEventListener('click', () => confirmAction('Danger Zone', 'Reset app and wipe all data in every vault?', () => handleReset('all')));
+    el('vaults-btn').addEventListener('click', openVaultManager);
+    el('close-vaults').addEventListener('click', () => el('modal-vaults').classList.remove('open'));
+    el('new-vault-btn').addEventListener('click', createVault);
     
     // Change PIN
     el('change-pin-btn').addEventListener('click', () => el('modal-change-pin').classList.add('open'));
     el('close-change-pin').addEventListener('click', () => el('modal-change-pin').classList.remove('open'));
     el('change-pin-form').addEventListener('submit', handleChangePin);
+    el('new-pin').addEventListener('input', () => renderStrength('new-pin'));
 
     // Import/Export
-    el('export-data-btn').addEventListener('click', handleExport);
+    el('export-data-btn').addEventListener('click', () => openExport());
+    el('close-export').addEventListener('click', () => el('modal-export').classList.remove('open'));
+    el('export-form').addEventListener('submit', handleExportSubmit);
+    el('export-format').addEventListener('change', renderExportNote);
+    el('close-import').addEventListener('click', closeImportPreview);
+    el('import-confirm-btn').addEventListener('click', confirmImport);
+    el('import-options').addEventListener('input', refreshImportPreview);
     el('import-data-btn').addEventListener('click', () => el('import-file-input').click());
     el('import-file-input').addEventListener('change', handleImport);
 
     // Monitor Toggle
     el('toggle-monitor').addEventListener('change', (e) => {
-        chrome.storage.local.set({ monitoring: e.target.checked });
+        Vaults.set({ monitoring: e.target.checked });
     });
-    
-    // Load Monitor State
-    chrome.storage.local.get('monitoring', (r) => el('toggle-monitor').checked = !!r.monitoring);
+
+    // Monitor Rules
+    el('monitor-rules-btn').addEventListener('click', openMonitorRules);
+    el('close-monitor-rules').addEventListener('click', () => el('modal-monitor').classList.remove('open'));
+    el('monitor-rules-form').addEventListener('submit', saveMonitorRules);
+    el('storage-btn').addEventListener('click', openStorage);
+    el('close-storage').addEventListener('click', () => el('modal-storage').classList.remove('open'));
+    el('retention-form').addEventListener('submit', saveRetentionRules);
+
+    // Auto-Lock
+    el('auto-lock-select').addEventListener('change', async (e) => {
+        await updateSettings({ autoLockMinutes: Number(e.target.value) });
+        Session.touch(true);
+    });
+    el('image-cap-select').addEventListener('change', (e) => {
+        updateSettings({ imageMaxKB: Number(e.target.value) });
+    });
+    el('toggle-keep-originals').addEventListener('change', (e) => {
+        updateSettings({ keepOriginalImages: e.target.checked });
+    });
+    el('history-limit-select').addEventListener('change', async (e) => {
+        const historyLimit = Number(e.target.value);
+        await updateSettings({ historyLimit });
+        if (State.key) await History.trimAll(historyLimit, State.key, [...State.snippets, ...State.trash].map(s => s.id));
+    });
+    el('history-btn').addEventListener('click', toggleHistoryPanel);
+    el('close-transform').addEventListener('click', () => el('modal-transform').classList.remove('open'));
+    el('transform-add-btn').addEventListener('click', addTransformStep);
+    el('transform-copy-btn').addEventListener('click', copyFromTransformMenu);
+    el('transform-default-btn').addEventListener('click', setDefaultTransform);
+    el('transform-save-btn').addEventListener('click', saveTransformPreset);
+    el('secret-clear-select').addEventListener('change', (e) => {
+        updateSettings({ secretClearSeconds: Number(e.target.value) });
+    });
+    el('trash-retention-select').addEventListener('change', async (e) => {
+        await updateSettings({ trashRetentionDays: Number(e.target.value) });
+        if (State.key) await purgeExpiredTrash();
+    });
+    el('wipe-after-select').addEventListener('change', (e) => {
+        updateSettings({ wipeAfterFailures: Number(e.target.value) });
+    });
+
+    // Session activity & remote lock (alarm, idle or another popup)
+    ['click', 'keydown'].forEach(type => document.addEventListener(type, () => Session.touch(), true));
+    chrome.storage.onChanged.addListener((changes, area) => {
+        const change = area === 'session' && Vaults.current && changes[Vaults.key('sessionKey')];
+        if (change && !change.newValue && State.key) {
+            lockVault(false);
+        }
+    });
+}
+
+// Settings belong to the open vault, so the form is filled each time it opens
+async function openSettings() {
+    const s = await loadSettings();
+    const { monitoring } = await Vaults.get('monitoring');
+    el('toggle-monitor').checked = !!monitoring;
+    el('auto-lock-select').value = String(s.autoLockMinutes);
+    el('wipe-after-select').value = String(s.wipeAfterFailures);
+    el('image-cap-select').value = String(s.imageMaxKB);
+    el('toggle-keep-originals').checked = s.keepOriginalImages;
+    el('history-limit-select').value = String(s.historyLimit);
+    el('trash-retention-select').value = String(s.trashRetentionDays);
+    el('secret-clear-select').value = String(s.secretClearSeconds);
+    el('vaults-desc').textContent = `Open: ${Vaults.current.name}`;
+    el('modal-settings').classList.add('open');
 }
 
 // --- VIEW CONTROLLER ---
@@ -142,9 +905,83 @@ function showView(viewName) {
     views[viewName].classList.add('active');
 }
 
+function showAuthView() {
+    showView('auth');
+    renderVaultPicker();
+    refreshLockout().then(() => el('auth-pin').focus());
+}
+
+function showOnboarding() {
+    showView('onboarding');
+    Vaults.registry().then(registry => {
+        const others = registry.list.length > 1;
+        el('onboarding-vault').textContent = `Setting up "${Vaults.current.name}".`;
+        el('onboarding-vault').classList.toggle('hidden', !others);
+        el('onboarding-cancel').classList.toggle('hidden', !others);
+    });
+}
+
 async function checkSetup() {
-    const data = await chrome.storage.local.get(['salt', 'encryptedData']);
-    return !!data.salt;
+    return !!(await readVaultHeader());
+}
+
+// --- VAULT HEADER ---
+// `vaultHeader` v2 holds the random data key twice, wrapped by the PIN-derived key and by the
+// recovery code, each slot with its own salt and KDF parameters so defaults can be raised
+// without locking anyone out. Older vaults encrypt data directly with the PIN-derived key:
+// v1 records the KDF next to the salt, v0 only has a bare `salt` array.
+
+async function readVaultHeader() {
+    const { vaultHeader, salt } = await Vaults.get(['vaultHeader', 'salt']);
+    if (vaultHeader && vaultHeader.version >= 2) return vaultHeader;
+    if (vaultHeader) return { version: 1, kdf: vaultHeader.kdf, salt: CryptoCore.fromBase64(vaultHeader.salt) };
+    if (salt) return { version: 0, kdf: CryptoCore.config.legacyPbkdf2, salt: new Uint8Array(salt) };
+    return null;
+}
+
+async function wrapWithSecret(secret, dataKey) {
+    const salt = CryptoCore.generateSalt();
+    const kdf = { ...CryptoCore.config.pbkdf2 };
+    const wrappingKey = await CryptoCore.deriveKey(secret, salt, kdf);
+    return { kdf, salt: CryptoCore.toBase64(salt), wrappedKey: await CryptoCore.wrapKey(dataKey, wrappingKey) };
+}
+
+async function unwrapWithSecret(secret, slot) {
+    const wrappingKey = await CryptoCore.deriveKey(secret, CryptoCore.fromBase64(slot.salt), slot.kdf);
+    return CryptoCore.unwrapKey(slot.wrappedKey, wrappingKey);
+}
+
+// Creates a v2 vault around `snippets`. Returns the data key and the one-time recovery code.
+// `legacyKey` is the old PIN-derived key, needed to carry over the pending-queue private key.
+async function createWrappedVault(pin, snippets, legacyKey = null) {
+    const dataKey = await CryptoCore.generateDataKey();
+    const recoveryCode = CryptoCore.generateRecoveryCode();
+
+    const update = {
+        ...(await VaultStore.buildAll(snippets, dataKey)),
+        vaultHeader: {
+            version: 2,
+            pin: await wrapWithSecret(pin, dataKey),
+            recovery: await wrapWithSecret(recoveryCode, dataKey)
+        }
+    };
+
+    const { pendingPrivateKey } = await Vaults.get('pendingPrivateKey');
+    if (pendingPrivateKey && legacyKey) {
+        const privateJwk = await CryptoCore.decrypt(pendingPrivateKey, legacyKey);
+        update.pendingPrivateKey = await CryptoCore.encrypt(privateJwk, dataKey);
+    }
+
+    // One atomic write, so a failure leaves the old vault intact
+    await Vaults.set(update);
+    await Vaults.remove(['salt', 'encryptedData']);
+    VaultStore.markPersisted(snippets);
+    return { dataKey, recoveryCode };
+}
+
+async function updateVaultHeader(patch) {
+    const { vaultHeader } = await Vaults.get('vaultHeader');
+    await Vaults.set({ vaultHeader: { ...vaultHeader, ...patch } });
 }
 
 // --- AUTH LOGIC ---
@@ -159,19 +996,9 @@ async function handleSetup(e) {
 
     try {
         setLoading(true);
-        const salt = CryptoCore.generateSalt();
-        const key = await CryptoCore.deriveKey(pin, salt);
-        const encrypted = await CryptoCore.encrypt([], key); // Init empty
-
-        await chrome.storage.local.set({
-            salt: Array.from(salt),
-            encryptedData: encrypted
-        });
-
-        State.key = key;
-        State.snippets = [];
-        showView('dashboard');
-        renderSnippets();
+        const { dataKey, recoveryCode } = await createWrappedVault(pin, []); // Init empty
+        await openVault(dataKey, []);
+        showRecoveryCode(recoveryCode);
     } catch (err) {
         showToast('Setup failed: ' + err.message, 'error');
     } finally {
@@ -184,67 +1011,235 @@ async function handleLogin(e) {
     const pin = el('auth-pin').value;
     if (!pin) return;
 
+    if (Lockout.remaining(await Lockout.get()) > 0) return refreshLockout();
+
     try {
         setLoading(true);
-        const { salt, encryptedData } = await chrome.storage.local.get(['salt', 'encryptedData']);
-        if (!salt) return showView('onboarding');
+        const header = await readVaultHeader();
+        if (!header) return showOnboarding();
+        const { encryptedData } = header.version < 2 ? await Vaults.get('encryptedData') : {};
 
-        const saltUint = new Uint8Array(salt);
-        const key = await CryptoCore.deriveKey(pin, saltUint);
-        
-        // Decrypt
-        const snippets = await CryptoCore.decrypt(encryptedData, key);
-        
-        // Success
-        State.key = key;
-        State.snippets = snippets;
-        
-        // Process background auto-saves
-        await processPendingClips();
-        
-        showView('dashboard');
-        renderSnippets();
+        // Only a rejected unwrap/decrypt is a wrong PIN; errors after it are reported as they are
+        let legacyKey, legacySnippets, dataKey;
+        try {
+            if (header.version < 2) {
+                legacyKey = await CryptoCore.deriveKey(pin, header.salt, header.kdf);
+                legacySnippets = await CryptoCore.decrypt(encryptedData, legacyKey);
+            } else {
+                dataKey = await unwrapWithSecret(pin, header.pin);
+            }
+        } catch (err) {
+            const input = el('auth-pin');
+            input.classList.add('shake');
+            input.value = '';
+            showToast('Incorrect PIN', 'error');
+            setTimeout(() => input.classList.remove('shake'), 500);
+            await recordUnlockFailure();
+            return;
+        }
+        await Lockout.clear();
+
+        if (header.version < 2) {
+            // Migrate to a wrapped data key; this also brings the KDF up to current defaults
+            const { dataKey: newKey, recoveryCode } = await createWrappedVault(pin, legacySnippets, legacyKey);
+            await openVault(newKey, legacySnippets);
+            showRecoveryCode(recoveryCode);
+        } else {
+            const snippets = await VaultStore.load(dataKey);
+
+            // Transparently re-wrap when the PIN slot uses weaker KDF parameters
+            if (CryptoCore.isKdfOutdated(header.pin.kdf)) {
+                try {
+                    await updateVaultHeader({ pin: await wrapWithSecret(pin, dataKey) });
+                } catch (upgradeErr) {
+                    console.warn('KDF upgrade skipped', upgradeErr); // Old parameters still unlock; retry next time
+                }
+            }
+            await openVault(dataKey, snippets);
+        }
         el('auth-pin').value = ''; // Clear memory
     } catch (err) {
         console.error(err);
-        const input = el('auth-pin');
-        input.classList.add('shake');
-        input.value = '';
-        showToast('Incorrect PIN', 'error');
-        setTimeout(() => input.classList.remove('shake'), 500);
+        showToast('Unlock failed: ' + err.message, 'error');
     } finally {
         setLoading(false);
+        await refreshLockout();
     }
 }
 
-async function handleChangePin(e) {
-    e.preventDefault();
-    const p1 = el('new-pin').value;
-    const p2 = el('new-pin-confirm').value;
+async function recordUnlockFailure() {
+    const lock = await Lockout.recordFailure();
+    const { wipeAfterFailures } = await loadSettings();
+    if (wipeAfterFailures && lock.failures >= wipeAfterFailures) await handleReset('vault');
+}
 
-    if (!validatePin(p1)) return;
+// Unlocks with the recovery code, forces a new PIN and rotates the (one-time) code
+async function handleRecovery() {
+    const header = await readVaultHeader();
+    if (!header || header.version < 2) {
+        return confirmAction(
+            'No Recovery Code',
+            'This vault was created before recovery codes existed and cannot be recovered. Unlock once with your PIN to create a code, or erase its data.',
+            () => handleReset('vault')
+        );
+    }
+    if (Lockout.remaining(await Lockout.get()) > 0) return refreshLockout();
+
+    promptForm('Recover Vault', 'Enter your recovery code and choose a new PIN.', [
+        { name: 'code', placeholder: 'XXXX-XXXX-XXXX-...' },
+        { name: 'pin', type: 'password', placeholder: 'New PIN or passphrase' },
+        { name: 'confirm', type: 'password', placeholder: 'Confirm new PIN' }
+    ], async ({ code, pin, confirm }) => {
+        if (pin.length < PIN_MIN_LENGTH || pin.length > PIN_MAX_LENGTH) {
+            return `PIN must be ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} characters`;
+        }
+        if (pin !== confirm) return 'PINs do not match';
+        if (Lockout.remaining(await Lockout.get()) > 0) {
+            await refreshLockout();
+            return 'Too many failed attempts. Try again later.';
+        }
+
+        try {
+            setLoading(true);
+            let dataKey;
+            try {
+                dataKey = await unwrapWithSecret(CryptoCore.normalizeRecoveryCode(code), header.recovery);
+            } catch (e) {
+                await recordUnlockFailure();
+                return 'Invalid recovery code';
+            }
+
+            const snippets = await VaultStore.load(dataKey);
+            const recoveryCode = CryptoCore.generateRecoveryCode();
+            await updateVaultHeader({
+                pin: await wrapWithSecret(pin, dataKey),
+                recovery: await wrapWithSecret(recoveryCode, dataKey)
+            });
+            await Lockout.clear();
+            await openVault(dataKey, snippets);
+            showRecoveryCode(recoveryCode);
+        } catch (err) {
+            return 'Recovery failed: ' + err.message;
+        } finally {
+            setLoading(false);
+            await refreshLockout();
+        }
+    });
+}
+
+function showRecoveryCode(code) {
+    el('recovery-code').textContent = code;
+    el('modal-recovery').classList.add('open');
+}
+
+// Disables the unlock form and shows a countdown while a lockout is active
+async function refreshLockout() {
+    clearInterval(Lockout.timer);
+    const state = await Lockout.get();
+    const { wipeAfterFailures } = await loadSettings();
+    const notice = el('auth-lockout');
+
+    const tick = () => {
+        const ms = Lockout.remaining(state);
+        const locked = ms > 0;
+        el('auth-pin').disabled = locked;
+        el('unlock-btn').disabled = locked;
+
+        const lines = [];
+        if (locked) lines.push(`Too many failed attempts. Try again in ${formatDuration(ms)}.`);
+        if (wipeAfterFailures && state.failures > 0) {
+            const left = wipeAfterFailures - state.failures;
+            lines.push(`${left} attempt${left === 1 ? '' : 's'} left before the vault is erased.`);
+        }
+        notice.textContent = lines.join(' ');
+        notice.classList.toggle('hidden', !lines.length);
+
+        if (!locked) clearInterval(Lockout.timer);
+    };
+
+    tick();
+    if (Lockout.remaining(state) > 0) Lockout.timer = setInterval(tick, 1000);
+}
+
+// Shared tail of setup, login and session restore
+async function openVault(key, snippets) {
+    State.key = key;
+    State.snippets = snippets.map(migrateSnippet);
+    if (State.snippets.some((s, i) => s !== snippets[i])) await saveEncrypted();
+    State.sortMode = (await loadSettings()).sortMode;
+    el('sort-select').value = State.sortMode;
+    State.trash = await Trash.load(key);
+    await purgeExpiredTrash();
+    await ensurePendingKeyPair();
+
+    // Process background auto-saves
+    await processPendingClips();
+    await applyRetention();
+    await Session.start(key);
+
+    showView('dashboard');
+    renderSnippets();
+}
+
+async function restoreSession() {
+    const key = await Session.restore();
+    if (!key) return false;
+
+    try {
+        await openVault(key, await VaultStore.load(key));
+        return true;
+    } catch (err) {
+        // Stale session (e.g. vault reset or PIN changed elsewhere)
+        State.key = null;
+        State.snippets = [];
+        VaultStore.clear();
+        Trash.clear();
+        await Vaults.remove('sessionKey', Vaults.current, chrome.storage.session);
+        return false;
+    }
+}
+
+async function lockVault(endSession = true) {
+    State.key = null;
+    State.pendingKey = null;
+    State.snippets = [];
+    State.trash = [];
+    State.selection = null;
+    State.transform = null;
+    el('bulk-bar').classList.add('hidden');
+    VaultStore.clear();
+    Trash.clear();
+    State.searchQuery = '';
+    State.activeTag = null;
+    State.currentTags = [];
+    el('search-input').value = '';
+    el('snippet-list').innerHTML = '';
+    // A freshly issued recovery code stays up until the user closes it; it is shown only once
+    document.querySelectorAll('.modal-overlay.open:not(#modal-recovery)').forEach(m => m.classList.remove('open'));
+    el('custom-dialog').classList.add('hidden');
+    if (endSession) await Session.end();
+
+    showAuthView();
+}
+
+async function handleChangePin(e) {
+    e.preventDefault();
+    const p1 = el('new-pin').value;
+    const p2 = el('new-pin-confirm').value;
+
+    if (!validatePin(p1)) return;
     if (p1 !== p2) return showToast('PINs do not match', 'error');
 
     try {
         setLoading(true);
-        // 1. Generate new Salt
-        const newSalt = CryptoCore.generateSalt();
-        // 2. Derive new Key
-        const newKey = await CryptoCore.deriveKey(p1, newSalt);
-        // 3. Encrypt current data with new Key
-        const newEncryptedData = await CryptoCore.encrypt(State.snippets, newKey);
-
-        // 4. Save
-        await chrome.storage.local.set({
-            salt: Array.from(newSalt),
-            encryptedData: newEncryptedData
-        });
+        // Only the data key is re-wrapped; snippets stay encrypted as they are
+        await updateVaultHeader({ pin: await wrapWithSecret(p1, State.key) });
 
-        State.key = newKey; // Update session key
         el('modal-change-pin').classList.remove('open');
         el('new-pin').value = '';
         el('new-pin-confirm').value = '';
-        showToast('PIN changed & data re-encrypted successfully');
+        renderStrength('new-pin');
+        showToast('PIN changed successfully');
     } catch(err) {
         showToast('Error changing PIN', 'error');
     } finally {
@@ -256,57 +1251,161 @@ async function handleChangePin(e) {
 
 async function saveSnippet() {
     let content = el('edit-content').value.trim();
+    commitTagInput(); // Keep a typed but unconfirmed tag
     
     // Validation: Require content OR image
     if (!content && !State.currentImageData) {
         return showToast('Snippet cannot be empty', 'error');
     }
+    if (State.currentEditType === 'template') {
+        const errors = Template.validate(content);
+        if (errors.length) return showToast(errors[0], 'error');
+    }
+    let html = null;
+    if (State.currentEditType === 'html') {
+        // The textarea holds markup; the plain-text fallback is derived from it
+        html = RichText.sanitize(content);
+        content = RichText.toPlain(html);
+        if (!content) return showToast('Rich text has no visible content', 'error');
+    }
 
-    const newSnippet = {
-        id: State.pendingEditId || crypto.randomUUID(),
-        type: State.currentImageData ? 'image' : 'text',
+    const now = Date.now();
+    const fields = {
+        type: State.currentEditType,
         content: State.currentImageData || content, // Store image data if exists, else text
         metaText: State.currentImageData ? content : null, // Optional caption for images
-        tags: [],
-        date: Date.now()
+        tags: [...State.currentTags],
+        secret: !State.currentImageData && el('edit-secret').checked,
+        updatedAt: now
     };
+    if (html) fields.html = html;
+    if (State.currentEditType === 'code') fields.language = editLanguage();
+    if (State.currentImageData) {
+        const meta = State.currentImageMeta || {};
+        fields.thumbnail = meta.thumbnail || null;
+        fields.hash = meta.hash || null;
+        // The full-size original is only kept when asked for
+        fields.original = el('edit-keep-original').checked ? (meta.original || null) : null;
+    }
 
-    if (State.pendingEditId) {
-        const idx = State.snippets.findIndex(s => s.id === State.pendingEditId);
-        if (idx !== -1) State.snippets[idx] = newSnippet;
+    let id = State.pendingEditId;
+    if (id) {
+        await replaceSnippet(id, fields);
     } else {
-        State.snippets.unshift(newSnippet);
+        const snip = createSnippet({ ...fields, source: { url: null, title: null, method: 'manual' } });
+        State.snippets.unshift(snip);
+        id = snip.id;
     }
 
-    await saveEncrypted();
+    if (await saveEncrypted()) await applyRetention([id]);
     el('modal-edit').classList.remove('open');
     renderSnippets();
     showToast('Snippet saved securely');
 }
 
+// Applies an edit, keeping creation time, usage stats and pin state, and files the previous
+// version in the snippet's history
+async function replaceSnippet(id, fields) {
+    const idx = State.snippets.findIndex(s => s.id === id);
+    if (idx === -1) return;
+    const prev = State.snippets[idx];
+    const merged = { ...prev, ...fields };
+    // Drop type-specific fields left over from a type change
+    if (merged.type !== 'html') delete merged.html;
+    if (merged.type !== 'code') delete merged.language;
+    if (merged.type !== 'image') IMAGE_META_FIELDS.forEach(f => delete merged[f]);
+
+    if (History.changed(prev, merged)) {
+        try {
+            await History.record(prev, merged, State.key);
+        } catch (e) {
+            showToast('Could not save the previous version to history', 'error');
+        }
+    }
+    State.snippets[idx] = merged;
+}
+
+// Fills in bookkeeping fields for a new snippet
+function createSnippet(fields) {
+    const now = Date.now();
+    return {
+        id: crypto.randomUUID(),
+        metaText: null,
+        tags: [],
+        createdAt: now,
+        updatedAt: now,
+        lastUsedAt: null,
+        copyCount: 0,
+        pinned: false,
+        secret: false,      // Masked in the list; the clipboard is cleared after copying
+        transform: null,    // Default copy-time transform chain, see Transforms
+        source: null,       // { url, title, method } for captured clips
+        ...fields
+    };
+}
+
+// Records created before createdAt/updatedAt only had a single `date`
+function migrateSnippet(snip) {
+    if (snip.createdAt) return snip;
+    const { date, ...rest } = snip;
+    const created = Number.isFinite(date) ? date : Date.now();
+    return {
+        ...rest,
+        tags: rest.tags || [],
+        createdAt: created,
+        updatedAt: created,
+        lastUsedAt: null,
+        copyCount: 0,
+        pinned: false
+    };
+}
+
+async function togglePin(id) {
+    const snip = State.snippets.find(s => s.id === id);
+    if (!snip) return;
+    snip.pinned = !snip.pinned;
+    await saveEncrypted();
+    renderSnippets();
+}
+
+async function markUsed(id) {
+    const snip = State.snippets.find(s => s.id === id);
+    if (!snip) return;
+    snip.copyCount = (snip.copyCount || 0) + 1;
+    snip.lastUsedAt = Date.now();
+    await saveEncrypted();
+}
+
 async function deleteSnippet(id) {
-    confirmAction('Delete Snippet?', 'This cannot be undone.', async () => {
-        State.snippets = State.snippets.filter(s => s.id !== id);
-        await saveEncrypted();
-        renderSnippets();
-        showToast('Snippet deleted');
-    });
+    await moveToTrash([id]);
+    renderSnippets();
+    showToast('Moved to trash', 'success', { label: 'Undo', onClick: () => restoreFromTrash([id]) });
 }
 
+// Resolves to false (after telling the user) when the write failed
 async function saveEncrypted() {
-    if (!State.key) return;
+    if (!State.key) return false;
     try {
-        const encrypted = await CryptoCore.encrypt(State.snippets, State.key);
-        await chrome.storage.local.set({ encryptedData: encrypted });
+        await VaultStore.save(State.snippets, State.key);
+        return true;
     } catch (e) {
         showToast('Save failed: Storage error', 'error');
+        return false;
     }
 }
 
 // --- IMAGE HANDLING & PASTE ---
 
 function handlePaste(e) {
-    const items = (e.clipboardData || e.originalEvent.clipboardData).items;
+    const data = e.clipboardData || e.originalEvent.clipboardData;
+    // Rich text is edited as markup, so keep the formatting of what is pasted
+    if (State.currentEditType === 'html' && data.types.includes('text/html')) {
+        e.preventDefault();
+        const input = e.target;
+        input.setRangeText(RichText.sanitize(data.getData('text/html')), input.selectionStart, input.selectionEnd, 'end');
+        return refreshEditor();
+    }
+    const items = data.items;
     
     for (const item of items) {
         if (item.type.indexOf('image') === 0) {
@@ -314,14 +1413,12 @@ function handlePaste(e) {
             const blob = item.getAsFile();
             const reader = new FileReader();
             
-            reader.onload = function(event) {
-                State.currentImageData = event.target.result;
-                State.currentEditType = 'image';
-                
-                const img = el('edit-image-preview');
-                img.src = State.currentImageData;
-                el('edit-image-preview-container').classList.remove('hidden');
-                el('edit-content').placeholder = "Add a caption (optional)...";
+            reader.onload = async function(event) {
+                // Compressed, thumbnailed and hashed by the background image pipeline
+                const image = await chrome.runtime.sendMessage({ action: 'processImage', dataUrl: event.target.result });
+                if (!image || image.error) return showToast('Could not process image', 'error');
+                showImagePreview(image.content, { thumbnail: image.thumbnail, hash: image.hash, original: image.original });
+                el('edit-keep-original').checked = false;
             };
             
             reader.readAsDataURL(blob);
@@ -330,26 +1427,672 @@ function handlePaste(e) {
     }
 }
 
+function showImagePreview(content, meta) {
+    State.currentImageData = content;
+    State.currentImageMeta = meta;
+    State.currentEditType = 'image';
+
+    el('edit-image-preview').src = content;
+    el('edit-image-preview-container').classList.remove('hidden');
+    el('edit-keep-original-row').classList.toggle('hidden', !meta.original);
+    el('edit-secret-row').classList.add('hidden');
+    el('edit-type').classList.add('hidden');
+    el('edit-content').placeholder = "Add a caption (optional)...";
+    refreshEditor();
+}
+
 function clearImagePreview() {
     State.currentImageData = null;
-    State.currentEditType = 'text';
+    State.currentImageMeta = null;
+    el('edit-keep-original').checked = false;
+    State.currentEditType = el('edit-type').value;
     el('edit-image-preview').src = "";
     el('edit-image-preview-container').classList.add('hidden');
+    el('edit-secret-row').classList.remove('hidden');
+    el('edit-type').classList.remove('hidden');
     el('edit-content').placeholder = "Type text or Paste (Ctrl+V) an image...";
+    refreshEditor();
+}
+
+function handleEditTypeChange(e) {
+    State.currentEditType = e.target.value;
+    refreshEditor();
+}
+
+// Type-dependent parts of the editor: monospace input, language picker, hints and preview
+function refreshEditor() {
+    const type = State.currentEditType;
+    el('edit-content').classList.toggle('code-input', type === 'code' || type === 'html');
+    el('edit-language').classList.toggle('hidden', type !== 'code');
+    renderTemplateHints();
+    renderEditPreview();
+}
+
+function editLanguage() {
+    const choice = el('edit-language').value;
+    return choice === 'auto' ? Code.detect(el('edit-content').value) : choice;
+}
+
+function renderEditPreview() {
+    const preview = el('edit-preview');
+    const type = State.currentEditType;
+    const content = el('edit-content').value;
+    const shown = (type === 'html' || type === 'code') && !!content.trim();
+    preview.className = 'edit-preview' + (type === 'code' ? ' snippet-code' : ' snippet-rich') + (shown ? '' : ' hidden');
+    if (!shown) return;
+
+    if (type === 'html') {
+        preview.innerHTML = RichText.sanitize(content);
+    } else {
+        const language = editLanguage();
+        preview.innerHTML = `<code>${Code.highlight(content, language)}</code>`;
+        el('edit-language').options[0].textContent = `Auto (${Code.LANGUAGES[language]})`;
+    }
+}
+
+// Live placeholder validation while editing a template
+function renderTemplateHints() {
+    const hints = el('edit-template-hints');
+    const isTemplate = State.currentEditType === 'template';
+    hints.classList.toggle('hidden', !isTemplate);
+    if (!isTemplate) return;
+
+    const errors = Template.validate(el('edit-content').value);
+    hints.classList.toggle('error', errors.length > 0);
+    hints.textContent = errors.length
+        ? errors.join(' ')
+        : 'Placeholders: {{date:YYYY-MM-DD}}, {{time:HH:mm}}, {{clipboard}}, {{uuid}}, {{input:Name}}';
+}
+
+// --- TEMPLATES ---
+// Template snippets expand placeholders at copy time:
+// {{date}} / {{date:FORMAT}}, {{time}} / {{time:FORMAT}}, {{clipboard}}, {{uuid}}, {{input:Label}}.
+// FORMAT tokens: YYYY YY MM M DD D HH H mm ss.
+const Template = {
+    PLACEHOLDER: /\{\{\s*([a-zA-Z]+)\s*(?::([^{}]*))?\}\}/g,
+    FORMAT_TOKEN: /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g,
+    KINDS: {
+        date: { arg: 'optional', fallback: 'YYYY-MM-DD' },
+        time: { arg: 'optional', fallback: 'HH:mm' },
+        clipboard: { arg: 'none' },
+        uuid: { arg: 'none' },
+        input: { arg: 'required' }
+    },
+
+    parse(content) {
+        return [...content.matchAll(this.PLACEHOLDER)].map(m => ({
+            raw: m[0],
+            kind: m[1].toLowerCase(),
+            arg: m[2] === undefined ? null : m[2].trim()
+        }));
+    },
+
+    validate(content) {
+        const errors = [];
+        this.parse(content).forEach(p => {
+            const spec = this.KINDS[p.kind];
+            if (!spec) return errors.push(`Unknown placeholder ${p.raw}.`);
+            if (spec.arg === 'required' && !p.arg) errors.push(`${p.raw} needs a name, e.g. {{input:Customer}}.`);
+            if (spec.arg === 'none' && p.arg) errors.push(`${p.raw} does not take a value.`);
+            if ((p.kind === 'date' || p.kind === 'time') && p.arg && !p.arg.match(this.FORMAT_TOKEN)) {
+                errors.push(`${p.raw} has no date/time tokens (YYYY, MM, DD, HH, mm, ss).`);
+            }
+        });
+
+        const leftover = content.replace(this.PLACEHOLDER, '');
+        if (leftover.includes('{{') || leftover.includes('}}')) errors.push('Unbalanced {{ }} braces.');
+        if (!this.parse(content).length && !errors.length) errors.push('Template has no placeholders.');
+        return errors;
+    },
+
+    // Unique named fields, in order of first appearance
+    inputs(content) {
+        return [...new Set(this.parse(content).filter(p => p.kind === 'input').map(p => p.arg))];
+    },
+
+    async expand(content, values) {
+        const now = new Date();
+        const needsClipboard = this.parse(content).some(p => p.kind === 'clipboard');
+        const clipboard = needsClipboard ? await navigator.clipboard.readText().catch(() => '') : '';
+
+        return content.replace(this.PLACEHOLDER, (raw, kind, arg) => {
+            const spec = this.KINDS[kind.toLowerCase()];
+            const value = arg === undefined ? null : arg.trim();
+            switch (kind.toLowerCase()) {
+                case 'date':
+                case 'time': return this.formatDate(now, value || spec.fallback);
+                case 'clipboard': return clipboard;
+                case 'uuid': return crypto.randomUUID();
+                case 'input': return values[value] ?? '';
+                default: return raw;
+            }
+        });
+    },
+
+    formatDate(d, format) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const parts = {
+            YYYY: d.getFullYear(), YY: pad(d.getFullYear() % 100),
+            MM: pad(d.getMonth() + 1), M: d.getMonth() + 1,
+            DD: pad(d.getDate()), D: d.getDate(),
+            HH: pad(d.getHours()), H: d.getHours(),
+            mm: pad(d.getMinutes()), ss: pad(d.getSeconds())
+        };
+        return format.replace(this.FORMAT_TOKEN, t => parts[t]);
+    }
+};
+
+// Collects {{input:...}} values, then copies the expansion through the normal text path
+function copyTemplate(snip, chain = []) {
+    const names = Template.inputs(snip.content);
+    const copyExpanded = async (values) => {
+        let text;
+        try {
+            text = Transforms.apply(await Template.expand(snip.content, values), chain);
+        } catch (e) {
+            return showToast(e.message, 'error');
+        }
+        try {
+            await copyTextToClipboard(text, snip.id);
+        } catch (e) {
+            showToast('Failed to copy text', 'error');
+        }
+    };
+    if (!names.length) return copyExpanded({});
+
+    promptForm('Fill In Template', 'Values are only used for this copy.',
+        names.map(name => ({ name, placeholder: name })),
+        copyExpanded
+    );
+}
+
+// --- RICH TEXT & CODE ---
+// `html` snippets keep sanitized markup in `html` and a plain-text fallback in `content`, so
+// search, sorting and in-page insertion keep working on text. `code` snippets carry a `language`.
+const RichText = {
+    TAGS: new Set(['a', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'sub', 'sup', 'mark', 'code', 'pre', 'kbd',
+        'p', 'div', 'span', 'br', 'hr', 'blockquote', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption']),
+    // Removed along with their content; any other unknown element is unwrapped
+    DROP: new Set(['script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed', 'svg', 'math',
+        'head', 'title', 'meta', 'link', 'form', 'input', 'button', 'select', 'textarea', 'img', 'video', 'audio']),
+    ATTRS: { a: ['href', 'title'], td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'] },
+    // What makes a capture worth keeping as rich text rather than plain text
+    FORMATTING: 'a, b, strong, i, em, u, s, strike, code, pre, kbd, mark, blockquote, ul, ol, h1, h2, h3, h4, h5, h6, table',
+    BLOCKS: 'p, div, pre, blockquote, li, tr, h1, h2, h3, h4, h5, h6, table, hr',
+
+    sanitize(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const out = document.createElement('div');
+        this.copyChildren(doc.body, out);
+        return out.innerHTML.trim();
+    },
+
+    copyChildren(from, to) {
+        for (const node of from.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                to.appendChild(document.createTextNode(node.textContent));
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) continue; // Comments, fragment markers
+            const tag = node.tagName.toLowerCase();
+            if (this.DROP.has(tag)) continue;
+            if (!this.TAGS.has(tag)) {
+                this.copyChildren(node, to);
+                continue;
+            }
+
+            const copy = document.createElement(tag);
+            for (const name of this.ATTRS[tag] || []) {
+                const value = node.getAttribute(name);
+                if (value !== null && this.attrAllowed(name, value)) copy.setAttribute(name, value);
+            }
+            if (tag === 'a' && copy.hasAttribute('href')) {
+                copy.setAttribute('target', '_blank');
+                copy.setAttribute('rel', 'noopener noreferrer');
+            }
+            this.copyChildren(node, copy);
+            to.appendChild(copy);
+        }
+    },
+
+    attrAllowed(name, value) {
+        if (name === 'href') return /^(https?:|mailto:)/i.test(value.trim());
+        if (name === 'colspan' || name === 'rowspan') return /^\d{1,3}$/.test(value);
+        return true;
+    },
+
+    toPlain(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        doc.querySelectorAll('li').forEach(li => li.prepend('• '));
+        doc.querySelectorAll('td, th').forEach(cell => cell.append('\t'));
+        doc.querySelectorAll(this.BLOCKS).forEach(block => block.append('\n'));
+        return doc.body.textContent.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    },
+
+    isFormatted(html) {
+        return !!new DOMParser().parseFromString(html, 'text/html').body.querySelector(this.FORMATTING);
+    }
+};
+
+async function copyRichToClipboard(snip) {
+    try {
+        await navigator.clipboard.write([
+            new ClipboardItem({
+                'text/html': new Blob([snip.html], { type: 'text/html' }),
+                'text/plain': new Blob([snip.content], { type: 'text/plain' })
+            })
+        ]);
+        const clearIn = isSecret(snip) ? await scheduleClipboardClear(snip.content) : 0;
+        showToast(clearIn ? `Secret copied, clears in ${clearIn}s` : "Rich text copied!");
+        await markUsed(snip.id);
+    } catch (e) {
+        showToast("Failed to copy rich text", "error");
+    }
+}
+
+const Code = {
+    LANGUAGES: {
+        javascript: 'JavaScript', python: 'Python', json: 'JSON', html: 'HTML',
+        css: 'CSS', sql: 'SQL', shell: 'Shell', plain: 'Plain text'
+    },
+    // Each hit adds one point; the best-scoring language wins
+    SIGNALS: {
+        javascript: [/\b(const|let|var)\s+\w+\s*=/, /=>/, /\bfunction\s*\w*\s*\(/, /\bconsole\.\w+\(/, /\b(import|export)\b.*\bfrom\b/, /===|!==/],
+        python: [/^\s*def \w+\(.*\):\s*$/m, /^\s*(from \w+(\.\w+)* )?import \w+/m, /^\s*(if|elif|for|while|with|class)\b.*:\s*$/m, /\bprint\(/, /\bself\./, /\b(None|True|False)\b/],
+        html: [/<\/?(html|head|body|div|span|p|a|ul|li|table|section)\b[^>]*>/i, /<!doctype html>/i, /<\/\w+>\s*$/m],
+        css: [/^\s*[.#]?[\w-]+(\s*[,>+~ ]\s*[.#]?[\w-]+)*\s*\{/m, /^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, /@media\b|!important/],
+        sql: [/\bselect\b[\s\S]+\bfrom\b/i, /\b(insert\s+into|delete\s+from|create\s+table|alter\s+table)\b/i, /\bupdate\s+\w+\s+set\b/i, /\b(where|join|group by|order by)\b/i],
+        shell: [/^#!\/(usr\/)?bin\/(env )?(ba|z)?sh/, /^\s*\$ /m, /^\s*(sudo|apt(-get)?|brew|npm|npx|yarn|git|cd|ls|curl|wget|chmod|mkdir|docker|export)\s/m, /\s--?[a-z][\w-]*/, /\|\s*(grep|sed|awk|xargs)\b/]
+    },
+    GRAMMARS: {
+        javascript: [
+            ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+            ['string', /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/],
+            ['keyword', /\b(?:const|let|var|function|return|if|else|for|while|do|switch|case|break|continue|new|class|extends|import|export|from|default|async|await|try|catch|finally|throw|typeof|instanceof|of|in|this|null|undefined|true|false)\b/],
+            ['number', /\b\d+(?:\.\d+)?\b/]
+        ],
+        python: [
+            ['comment', /#.*/],
+            ['string', /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/],
+            ['keyword', /\b(?:def|class|return|if|elif|else|for|while|in|not|and|or|is|import|from|as|with|try|except|finally|raise|lambda|yield|pass|break|continue|global|async|await|None|True|False|self)\b/],
+            ['number', /\b\d+(?:\.\d+)?\b/]
+        ],
+        json: [
+            ['attr', /"(?:\\.|[^\\"])*"(?=\s*:)/],
+            ['string', /"(?:\\.|[^\\"])*"/],
+            ['keyword', /\b(?:true|false|null)\b/],
+            ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+        ],
+        html: [
+            ['comment', /<!--[\s\S]*?-->/],
+            ['keyword', /<\/?[a-zA-Z][\w-]*|\/?>/],
+            ['attr', /\b[\w-]+(?==)/],
+            ['string', /"[^"]*"|'[^']*'/]
+        ],
+        css: [
+            ['comment', /\/\*[\s\S]*?\*\//],
+            ['string', /"[^"\n]*"|'[^'\n]*'/],
+            ['attr', /[\w-]+(?=\s*:[^{}]*;)/],
+            ['number', /#[0-9a-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms)?\b/]
+        ],
+        sql: [
+            ['comment', /--.*/],
+            ['string', /'(?:''|[^'])*'/],
+            ['keyword', /\b(?:select|from|where|and|or|not|insert|into|values|update|set|delete|create|alter|drop|table|index|join|left|right|inner|outer|on|as|group|by|order|having|limit|offset|distinct|null|is|in|like|union|all|case|when|then|else|end|asc|desc|primary|key)\b/],
+            ['number', /\b\d+(?:\.\d+)?\b/]
+        ],
+        shell: [
+            ['comment', /(?<![\w$])#.*/],
+            ['string', /"(?:\\.|[^\\"])*"|'[^']*'/],
+            ['attr', /\$\{?[\w@#?*!-]+\}?|(?<=\s)--?[a-zA-Z][\w-]*/],
+            ['keyword', /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|function|in|return|export|local|sudo|echo|cd)\b/]
+        ]
+    },
+
+    detect(text) {
+        const trimmed = text.trim();
+        if (/^[[{]/.test(trimmed)) {
+            try {
+                JSON.parse(trimmed);
+                return 'json';
+            } catch (e) { /* not JSON */ }
+        }
+        let best = 'plain', bestScore = 0;
+        for (const [language, signals] of Object.entries(this.SIGNALS)) {
+            const score = signals.filter(re => re.test(trimmed)).length;
+            if (score > bestScore) {
+                best = language;
+                bestScore = score;
+            }
+        }
+        return best;
+    },
+
+    highlight(text, language) {
+        const grammar = this.GRAMMARS[language];
+        if (!grammar) return escapeHtml(text);
+        const pattern = new RegExp(grammar.map(([, re]) => `(${re.source})`).join('|'), language === 'sql' ? 'gi' : 'g');
+
+        let html = '', last = 0, m;
+        while ((m = pattern.exec(text))) {
+            if (!m[0]) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const kind = grammar[m.slice(1).findIndex(g => g !== undefined)][0];
+            html += escapeHtml(text.slice(last, m.index)) + `<span class="tok-${kind}">${escapeHtml(m[0])}</span>`;
+            last = m.index + m[0].length;
+        }
+        return html + escapeHtml(text.slice(last));
+    }
+};
+
+// --- TRANSFORMS ---
+// Copy-time text transforms. A chain is a list of LIST keys applied in order; named presets are
+// kept in the settings and a snippet's default chain in its `transform` field.
+const Transforms = {
+    MAX_STEPS: 10,
+    LIST: {
+        trim: { label: 'Trim whitespace', run: (t) => t.replace(/[ \t]+$/gm, '').trim() },
+        plain: { label: 'Strip formatting', run: (t) => Transforms.strip(t) },
+        upper: { label: 'UPPERCASE', run: (t) => t.toUpperCase() },
+        lower: { label: 'lowercase', run: (t) => t.toLowerCase() },
+        title: { label: 'Title Case', run: (t) => t.toLowerCase().replace(/(^|[\s\-_/])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase()) },
+        urlEncode: { label: 'URL encode', run: (t) => encodeURIComponent(t) },
+        urlDecode: { label: 'URL decode', run: (t) => decodeURIComponent(t.replace(/\+/g, ' ')) },
+        base64Encode: { label: 'Base64 encode', run: (t) => CryptoCore.toBase64(new TextEncoder().encode(t)) },
+        base64Decode: {
+            label: 'Base64 decode',
+            // Also takes the URL-safe alphabet; bytes that are not UTF-8 text are an error
+            run: (t) => new TextDecoder('utf-8', { fatal: true }).decode(CryptoCore.fromBase64(t.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/')))
+        },
+        jsonPretty: { label: 'JSON pretty-print', run: (t) => JSON.stringify(JSON.parse(t), null, 2) },
+        jsonMinify: { label: 'JSON minify', run: (t) => JSON.stringify(JSON.parse(t)) },
+        shellEscape: { label: 'Shell escape', run: (t) => `'${t.replace(/'/g, `'\\''`)}'` }
+    },
+
+    // Markup to text, then invisible characters and typographic quotes and spaces to plain ones
+    strip(text) {
+        const plain = /<[a-z][^>]*>/i.test(text) ? RichText.toPlain(RichText.sanitize(text)) : text;
+        return plain
+            .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')
+            .replace(/[\u00A0\u2007\u202F]/g, ' ')
+            .replace(/[\u2018\u2019]/g, "'")
+            .replace(/[\u201C\u201D]/g, '"');
+    },
+
+    apply(text, chain = []) {
+        return chain.reduce((out, key) => {
+            const step = this.LIST[key];
+            try {
+                return step.run(out);
+            } catch (e) {
+                throw new Error(`${step.label} failed: ${e.message}`);
+            }
+        }, text);
+    },
+
+    describe(chain) {
+        return chain.map(key => this.LIST[key].label).join(' → ');
+    },
+
+    // Known keys only; null when nothing is left
+    clean(chain) {
+        if (!Array.isArray(chain)) return null;
+        const keys = chain.filter(key => typeof key === 'string' && Object.hasOwn(this.LIST, key)).slice(0, this.MAX_STEPS);
+        return keys.length ? keys : null;
+    }
+};
+
+// --- SEARCH ---
+// Query language: free words (fuzzy), "quoted phrases", /regex/flags, tag:x, type:image|text,
+// before:/after:YYYY-MM-DD, source:domain; prefix any of them with '-' to exclude.
+// The lowercase text index is a WeakMap on the decrypted snippets, so it never leaves memory
+// and entries disappear with the objects they describe.
+const Search = {
+    TOKEN: /(-?)(?:(tag|type|before|after|source):)?(?:"([^"]*)"|\/((?:\\.|[^\/\\])+)\/([gimsuy]*)|(\S+))/g,
+    index: new WeakMap(),
+
+    parse(query) {
+        const parsed = { filters: [], terms: [] };
+        for (const m of query.matchAll(this.TOKEN)) {
+            const [, neg, field, phrase, regexBody, regexFlags, word] = m;
+            const negate = neg === '-';
+            const value = phrase ?? word ?? '';
+
+            if (field) {
+                const filter = this.buildFilter(field, value);
+                if (filter) parsed.filters.push({ test: filter, negate });
+                continue;
+            }
+
+            let term;
+            if (regexBody !== undefined) {
+                try {
+                    term = { kind: 'regex', regex: new RegExp(regexBody, regexFlags.replace(/[gy]/g, '') || 'i') };
+                } catch (e) {
+                    term = { kind: 'phrase', text: regexBody.toLowerCase() }; // Invalid regex: match literally
+                }
+            } else if (phrase !== undefined) {
+                term = { kind: 'phrase', text: phrase.toLowerCase() };
+            } else {
+                term = { kind: 'word', text: value.toLowerCase() };
+            }
+            if (term.kind === 'regex' || term.text) parsed.terms.push({ ...term, negate });
+        }
+        return parsed;
+    },
+
+    buildFilter(field, value) {
+        const v = value.toLowerCase();
+        switch (field) {
+            case 'tag': return (s) => (s.tags || []).includes(normalizeTag(v));
+            case 'type': return (s) => s.type === v;
+            case 'before':
+            case 'after': {
+                const time = this.parseDate(v);
+                if (time === null) return null;
+                return field === 'before' ? (s) => s.createdAt < time : (s) => s.createdAt >= time;
+            }
+            case 'source': return (s) => {
+                const host = this.hostOf(s);
+                return !!host && (host === v || host.endsWith('.' + v));
+            };
+        }
+        return null;
+    },
+
+    // YYYY-MM-DD (or YYYY-MM, YYYY) as local midnight
+    parseDate(value) {
+        const m = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/.exec(value);
+        if (!m) return null;
+        return new Date(Number(m[1]), (Number(m[2]) || 1) - 1, Number(m[3]) || 1).getTime();
+    },
+
+    hostOf(snip) {
+        try {
+            return snip.source && snip.source.url ? new URL(snip.source.url).hostname.toLowerCase() : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Lowercased text plus, when lowercasing changed its length (e.g. 'İ'),
+    // the original offset of every lowered character
+    textOf(snip) {
+        let entry = this.index.get(snip);
+        if (entry === undefined) {
+            const source = snip.type === 'image' ? (snip.metaText || 'image') : snip.content;
+            let text = source.toLowerCase(), offsets = null;
+            if (text.length !== source.length) {
+                text = '';
+                offsets = [];
+                let pos = 0;
+                for (const ch of source) {
+                    const lower = ch.toLowerCase();
+                    for (let i = 0; i < lower.length; i++) offsets.push(pos);
+                    text += lower;
+                    pos += ch.length;
+                }
+                offsets.push(pos);
+            }
+            entry = { text, offsets };
+            this.index.set(snip, entry);
+        }
+        return entry;
+    },
+
+    // Maps ranges found in the lowered text back onto the original string
+    toSource(ranges, offsets) {
+        if (!offsets) return ranges;
+        return ranges.map(([start, end]) => {
+            let stop = end;
+            while (stop < offsets.length - 1 && offsets[stop] === offsets[end - 1]) stop++;
+            return [offsets[start], offsets[stop]];
+        });
+    },
+
+    // Returns { score, ranges } or null when the snippet does not match
+    match(snip, parsed) {
+        for (const f of parsed.filters) {
+            if (f.test(snip) === f.negate) return null;
+        }
+
+        const { text, offsets } = this.textOf(snip);
+        let score = 0;
+        const ranges = [];
+        for (const term of parsed.terms) {
+            const hit = this.matchTerm(text, snip, term);
+            if (term.negate) {
+                if (hit) return null;
+                continue;
+            }
+            if (!hit) return null;
+            score += hit.score;
+            ranges.push(...(term.kind === 'regex' ? hit.ranges : this.toSource(hit.ranges, offsets)));
+        }
+        return { score, ranges };
+    },
+
+    matchTerm(text, snip, term) {
+        if (term.kind === 'regex') {
+            const source = snip.type === 'image' ? (snip.metaText || '') : snip.content;
+            const m = term.regex.exec(source);
+            return m ? { score: 1, ranges: m[0] ? [[m.index, m.index + m[0].length]] : [] } : null;
+        }
+
+        const idx = text.indexOf(term.text);
+        if (idx !== -1) {
+            const wordStart = idx === 0 || /\W/.test(text[idx - 1]);
+            return { score: wordStart ? 1.5 : 1, ranges: [[idx, idx + term.text.length]] };
+        }
+        return term.kind === 'word' ? this.fuzzy(text, term.text) : null;
+    },
+
+    // Subsequence match; tighter spans score higher (always below an exact hit)
+    fuzzy(text, needle) {
+        if (needle.length < 2) return null;
+        const ranges = [];
+        let from = 0;
+        for (const ch of needle) {
+            const i = text.indexOf(ch, from);
+            if (i === -1) return null;
+            ranges.push([i, i + 1]);
+            from = i + 1;
+        }
+        const span = ranges[ranges.length - 1][1] - ranges[0][0];
+        const tightness = needle.length / span;
+        if (tightness < 0.3) return null;
+        return { score: 0.8 * tightness, ranges };
+    },
+
+    // Newer snippets get up to +0.5, halving every 30 days
+    recency(snip) {
+        const ageDays = Math.max(0, Date.now() - lastActivity(snip)) / 86400000;
+        return 0.5 * Math.pow(0.5, ageDays / 30);
+    },
+
+    highlight(text, ranges) {
+        if (!ranges || !ranges.length) return escapeHtml(text);
+        const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+        let html = '', pos = 0;
+        for (const [start, end] of sorted) {
+            if (start < pos || start >= text.length) continue;
+            html += escapeHtml(text.slice(pos, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+            pos = end;
+        }
+        return html + escapeHtml(text.slice(pos));
+    }
+};
+
+// --- SORTING ---
+
+function lastActivity(snip) {
+    return Math.max(snip.updatedAt || 0, snip.lastUsedAt || 0);
+}
+
+const SORT_MODES = {
+    recent: (a, b) => lastActivity(b) - lastActivity(a),
+    used: (a, b) => (b.copyCount || 0) - (a.copyCount || 0) || lastActivity(b) - lastActivity(a),
+    alpha: (a, b) => sortLabel(a).localeCompare(sortLabel(b), undefined, { sensitivity: 'base' }),
+    oldest: (a, b) => a.createdAt - b.createdAt
+};
+
+// One-line label for lists outside the cards; secrets stay masked
+function listLabel(snip) {
+    if (isSecret(snip)) return SECRET_MASK;
+    const label = snip.type === 'image' ? (snip.metaText || 'Image') : sortLabel(snip);
+    return label.split('\n')[0];
+}
+
+function sortLabel(snip) {
+    return (snip.type === 'image' ? (snip.metaText || '') : snip.content).trim();
+}
+
+async function handleSort(e) {
+    State.sortMode = e.target.value;
+    State.pagination.page = 1;
+    renderSnippets();
+    await updateSettings({ sortMode: State.sortMode });
 }
 
 // --- RENDERER ---
 
+const SOURCE_LABELS = { monitor: 'Copy monitor', 'context-menu': 'Context menu', manual: 'Manual' };
+
+// Clicking a card's origin narrows the list through the search `source:` filter
+function filterByDomain(host) {
+    const input = el('search-input');
+    const others = input.value.replace(/(^|\s)-?source:\S+/g, '').trim();
+    input.value = (others ? others + ' ' : '') + `source:${host}`;
+    handleSearch({ target: input });
+}
+
 function renderSnippets() {
     const list = el('snippet-list');
     list.innerHTML = '';
 
-    const query = State.searchQuery.toLowerCase();
-    const filtered = State.snippets.filter(s => {
-        const textToCheck = s.type === 'image' ? (s.metaText || 'image') : s.content;
-        return textToCheck.toLowerCase().includes(query);
+    renderTagFilter();
+
+    const parsed = Search.parse(State.searchQuery);
+    const matches = new Map();
+    State.snippets.forEach(s => {
+        if (State.activeTag && !(s.tags || []).includes(State.activeTag)) return;
+        const m = Search.match(s, parsed);
+        if (m) matches.set(s, m);
     });
 
+    // Pinned first; then search rank when there is something to rank by, else the sort mode
+    const compare = parsed.terms.some(t => !t.negate)
+        ? (a, b) => (matches.get(b).score + Search.recency(b)) - (matches.get(a).score + Search.recency(a))
+        : SORT_MODES[State.sortMode] || SORT_MODES.recent;
+    const filtered = [...matches.keys()].sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || compare(a, b));
+    State.filteredIds = filtered.map(s => s.id);
+    list.classList.toggle('selecting', !!State.selection);
+    if (State.selection) renderBulkBar();
+
     const limit = State.pagination.page * State.pagination.perPage;
     const pageItems = filtered.slice(0, limit);
 
@@ -360,24 +2103,74 @@ function renderSnippets() {
 
     pageItems.forEach(snip => {
         const div = document.createElement('div');
-        div.className = 'snippet-card';
+        div.className = 'snippet-card' + (snip.pinned ? ' pinned' : '');
+        div.dataset.id = snip.id;
+        div.tabIndex = 0;
+        div.setAttribute('role', 'listitem');
+        const { ranges } = matches.get(snip);
         
         let contentHtml = '';
         if (snip.type === 'image') {
             contentHtml = `
                 <div class="snippet-image-container">
-                    <img src="${snip.content}" class="snippet-img">
+                    <img src="${snip.thumbnail || snip.content}" class="snippet-img" alt="">
                 </div>
-                ${snip.metaText ? `<div class="snippet-caption">${escapeHtml(snip.metaText)}</div>` : ''}
+                ${snip.metaText ? `<div class="snippet-caption">${Search.highlight(snip.metaText, ranges)}</div>` : ''}
             `;
+        } else if (snip.type === 'html' && !ranges.length) {
+            contentHtml = `<div class="snippet-rich">${RichText.sanitize(snip.html)}</div>`;
+        } else if (snip.type === 'code') {
+            // Search hits take over from syntax colouring while they are shown
+            const code = ranges.length ? Search.highlight(snip.content, ranges) : Code.highlight(snip.content, snip.language);
+            contentHtml = `<pre class="snippet-code"><code>${code}</code></pre>`;
         } else {
-            contentHtml = `<div class="snippet-text">${escapeHtml(snip.content)}</div>`;
+            contentHtml = `<div class="snippet-text">${Search.highlight(snip.content, ranges)}</div>`;
+        }
+        // Secrets only render their content while the reveal button is held
+        const revealHtml = contentHtml;
+        if (isSecret(snip)) {
+            contentHtml = `
+                <div class="snippet-secret">
+                    <div class="secret-body"><div class="snippet-text secret-mask">${SECRET_MASK}</div></div>
+                    <button class="btn secret-reveal" aria-label="Hold to show secret">Hold to show</button>
+                </div>
+            `;
         }
 
+        const tagsHtml = (snip.tags || []).length
+            ? `<div class="tag-row">${snip.tags.map(t => `<span class="tag-chip">${escapeHtml(t)}</span>`).join('')}</div>`
+            : '';
+
+        const badge = isSecret(snip) ? 'Secret'
+            : snip.type === 'template' ? 'Template'
+            : snip.type === 'html' ? 'Rich text'
+            : snip.type === 'code' ? Code.LANGUAGES[snip.language] || 'Code'
+            : null;
+        const badgeHtml = badge ? `<span class="type-badge">${escapeHtml(badge)}</span>` : '';
+        const host = Search.hostOf(snip);
+        const originHtml = host
+            ? `<button class="btn snippet-origin" title="${escapeHtml((snip.source.title ? snip.source.title + '\n' : '') + snip.source.url)}">${escapeHtml(host)} · ${SOURCE_LABELS[snip.source.method]}</button>`
+            : '';
+
+        const transformHtml = snip.type === 'image' ? '' : `
+            <button class="btn action-btn transform-btn${snip.transform ? ' active' : ''}" aria-label="Copy with transform"
+                title="${escapeHtml(snip.transform ? 'Default: ' + Transforms.describe(snip.transform) : 'Copy with transform')}"><i class="icon i-wand"></i></button>`;
+
+        const selectHtml = State.selection
+            ? `<input type="checkbox" class="select-box" tabindex="-1" aria-label="Select snippet"${State.selection.has(snip.id) ? ' checked' : ''}>`
+            : '';
+
         div.innerHTML = `
+            ${selectHtml}
+            ${badgeHtml}
             ${contentHtml}
+            ${tagsHtml}
+            ${originHtml}
             <div class="snippet-actions">
+                <span class="snippet-meta">${snip.copyCount ? `Copied ${snip.copyCount}×` : ''}</span>
+                <button class="btn action-btn pin-btn${snip.pinned ? ' active' : ''}" aria-label="${snip.pinned ? 'Unpin' : 'Pin'}" aria-pressed="${!!snip.pinned}"><i class="icon i-pin"></i></button>
                 <button class="btn action-btn copy-btn" aria-label="Copy"><i class="icon i-copy"></i></button>
+                ${transformHtml}
                 <button class="btn action-btn edit-btn" aria-label="Edit"><i class="icon i-edit"></i></button>
                 <button class="btn action-btn delete-btn" aria-label="Delete"><i class="icon i-trash"></i></button>
             </div>
@@ -385,59 +2178,968 @@ function renderSnippets() {
         
         // Handlers
         div.querySelector('.copy-btn').addEventListener('click', () => {
-             if(snip.type === 'image') copyImageToClipboard(snip.content);
-             else copyTextToClipboard(snip.content);
+             if(snip.type === 'image') copyImageToClipboard(snip.original || snip.content, snip.id);
+             else if(snip.transform) copyWithTransform(snip, snip.transform);
+             else if(snip.type === 'template') copyTemplate(snip);
+             else if(snip.type === 'html') copyRichToClipboard(snip);
+             else copyTextToClipboard(snip.content, snip.id);
         });
+        div.querySelector('.pin-btn').addEventListener('click', () => togglePin(snip.id));
+        if (snip.type !== 'image') div.querySelector('.transform-btn').addEventListener('click', () => openTransformMenu(snip.id));
+        if (isSecret(snip)) bindReveal(div.querySelector('.secret-reveal'), div.querySelector('.secret-body'), revealHtml);
+        if (host) div.querySelector('.snippet-origin').addEventListener('click', () => filterByDomain(host));
         div.querySelector('.edit-btn').addEventListener('click', () => openEditModal(snip.id));
         div.querySelector('.delete-btn').addEventListener('click', () => deleteSnippet(snip.id));
+        if (State.selection) {
+            div.classList.toggle('selected', State.selection.has(snip.id));
+            div.addEventListener('click', (e) => {
+                if (e.target.closest('button, a')) return;
+                e.preventDefault(); // The checkbox is driven from here
+                toggleSelection(snip.id, e.shiftKey);
+            });
+        }
         
         list.appendChild(div);
     });
 }
 
-function openEditModal(id = null) {
-    const modal = el('modal-edit');
-    const contentInput = el('edit-content');
-    
-    State.pendingEditId = id;
-    clearImagePreview();
-    
-    if (id) {
-        const snip = State.snippets.find(s => s.id === id);
-        if (snip.type === 'image') {
-            State.currentImageData = snip.content;
-            State.currentEditType = 'image';
-            el('edit-image-preview').src = snip.content;
-            el('edit-image-preview-container').classList.remove('hidden');
-            contentInput.value = snip.metaText || '';
-        } else {
-            contentInput.value = snip.content;
-        }
-        el('modal-title').textContent = "Edit Snippet";
-    } else {
+// --- KEYBOARD NAVIGATION ---
+// Cards: ↑/↓ move, Enter copies, E edits, P pins, Delete deletes. Anywhere: / searches, Esc closes.
+
+function focusCard(index) {
+    const cards = [...el('snippet-list').querySelectorAll('.snippet-card')];
+    if (!cards.length) return;
+    cards[Math.max(0, Math.min(index, cards.length - 1))].focus();
+}
+
+function handleListKeys(e) {
+    const card = e.target.closest('.snippet-card');
+    if (!card || e.target !== card) return; // Let buttons inside the card handle their own keys
+    const cards = [...el('snippet-list').querySelectorAll('.snippet-card')];
+    const index = cards.indexOf(card);
+    const press = (selector) => card.querySelector(selector)?.click();
+
+    if (State.selection && (e.key === ' ' || e.key === 'Enter')) {
+        e.preventDefault();
+        return toggleSelection(card.dataset.id, e.shiftKey);
+    }
+
+    switch (e.key) {
+        case 'ArrowDown': focusCard(index + 1); break;
+        case 'ArrowUp': index === 0 ? el('search-input').focus() : focusCard(index - 1); break;
+        case 'Enter': press('.copy-btn'); break;
+        case 'e': press('.edit-btn'); break;
+        case 't': press('.transform-btn'); break;
+        case 'p': press('.pin-btn'); break;
+        case 'Delete': press('.delete-btn'); break;
+        default: return;
+    }
+    e.preventDefault();
+}
+
+function handleGlobalKeys(e) {
+    if (e.key === 'Escape') {
+        if (!el('custom-dialog').classList.contains('hidden')) return el('dialog-cancel').click();
+        const open = [...document.querySelectorAll('.modal-overlay.open')].pop();
+        if (!open && State.selection) return toggleSelectMode(false);
+        // The recovery code sheet has to be dismissed explicitly
+        if (open && open.id !== 'modal-recovery') open.classList.remove('open');
+        return;
+    }
+
+    const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+    const dashboard = views.dashboard.classList.contains('active') && !document.querySelector('.modal-overlay.open');
+    if (e.key === '/' && !typing && dashboard) {
+        e.preventDefault();
+        el('search-input').focus();
+    }
+}
+
+function openEditModal(id = null) {
+    const modal = el('modal-edit');
+    const contentInput = el('edit-content');
+    
+    State.pendingEditId = id;
+    State.currentTags = [];
+    el('edit-type').value = 'text';
+    el('edit-language').value = 'auto';
+    el('edit-secret').checked = false;
+    contentInput.value = '';
+    clearImagePreview();
+    
+    if (id) {
+        const snip = State.snippets.find(s => s.id === id);
+        State.currentTags = [...(snip.tags || [])];
+        el('edit-secret').checked = isSecret(snip);
+        if (snip.type === 'image') {
+            showImagePreview(snip.content, { thumbnail: snip.thumbnail, hash: snip.hash, original: snip.original });
+            el('edit-keep-original').checked = !!snip.original;
+            contentInput.value = snip.metaText || '';
+        } else {
+            el('edit-type').value = snip.type;
+            State.currentEditType = snip.type;
+            contentInput.value = snip.type === 'html' ? snip.html : snip.content;
+            if (snip.type === 'code') el('edit-language').value = snip.language || 'auto';
+            refreshEditor();
+        }
+        el('modal-title').textContent = "Edit Snippet";
+    } else {
         contentInput.value = '';
         el('modal-title').textContent = "New Snippet";
     }
+    el('history-btn').classList.toggle('hidden', !id);
+    el('edit-history').classList.add('hidden');
     
+    el('edit-tag-input').value = '';
+    renderEditTags();
     modal.classList.add('open');
     contentInput.focus();
 }
 
+// --- HISTORY PANEL ---
+
+async function toggleHistoryPanel() {
+    const panel = el('edit-history');
+    if (!panel.classList.contains('hidden')) return panel.classList.add('hidden');
+    panel.classList.remove('hidden');
+    await renderHistory();
+}
+
+async function renderHistory() {
+    const list = el('history-list');
+    const diff = el('history-diff');
+    const snip = State.snippets.find(s => s.id === State.pendingEditId);
+    diff.classList.add('hidden');
+    list.innerHTML = '';
+    if (!snip) return;
+
+    let revisions;
+    try {
+        revisions = await History.load(snip.id, State.key);
+    } catch (e) {
+        list.innerHTML = `<li class="history-empty">History could not be read</li>`;
+        return;
+    }
+    if (!revisions.length) {
+        list.innerHTML = `<li class="history-empty">No earlier versions yet</li>`;
+        return;
+    }
+
+    revisions.forEach((rev, index) => {
+        const li = document.createElement('li');
+        li.className = 'history-item';
+        li.innerHTML = `
+            <button class="btn history-show">${escapeHtml(new Date(rev.savedAt).toLocaleString())}</button>
+            <button class="btn small-btn history-restore">Restore</button>
+        `;
+        li.querySelector('.history-show').addEventListener('click', () => {
+            list.querySelectorAll('.history-item').forEach(item => item.classList.toggle('active', item === li));
+            renderRevisionDiff(rev, snip);
+        });
+        li.querySelector('.history-restore').addEventListener('click', () => restoreRevision(snip.id, index));
+        list.appendChild(li);
+    });
+}
+
+// What a version looks like as text, for diffing
+function revisionText(rev, snip) {
+    const type = rev.type || snip.type;
+    if (type === 'image') return `[image]${rev.content && rev.content !== snip.content ? ' (different picture)' : ''}\n${rev.metaText || ''}`;
+    const body = type === 'html' ? rev.html : rev.content;
+    return `${body || ''}\n\ntags: ${(rev.tags || []).join(', ')}`;
+}
+
+function renderRevisionDiff(rev, snip) {
+    const diff = el('history-diff');
+    const lines = lineDiff(revisionText(rev, snip), revisionText(snip, snip));
+    const className = { ' ': 'diff-same', '-': 'diff-del', '+': 'diff-add' };
+    diff.innerHTML = lines
+        .map(([op, line]) => `<div class="${className[op]}">${op} ${escapeHtml(line) || '&nbsp;'}</div>`)
+        .join('');
+    diff.classList.remove('hidden');
+}
+
+async function restoreRevision(id, index) {
+    const revisions = await History.load(id, State.key);
+    const rev = revisions[index];
+    if (!rev) return;
+
+    const { savedAt, ...fields } = rev;
+    // The current version goes into history, so a restore can itself be undone
+    await replaceSnippet(id, { ...fields, updatedAt: Date.now() });
+    await saveEncrypted();
+    renderSnippets();
+    openEditModal(id);
+    el('edit-history').classList.remove('hidden');
+    await renderHistory();
+    showToast(`Restored version from ${new Date(savedAt).toLocaleString()}`);
+}
+
+// --- TRANSFORM MENU ---
+
+const TRANSFORM_PREVIEW_LENGTH = 2000;
+
+async function openTransformMenu(id) {
+    const snip = State.snippets.find(s => s.id === id);
+    State.transform = { id, chain: [...(snip.transform || [])] };
+    const select = el('transform-select');
+    select.innerHTML = '';
+    Object.entries(Transforms.LIST).forEach(([key, step]) => select.add(new Option(step.label, key)));
+    await renderTransformPresets();
+    renderTransformChain();
+    el('modal-transform').classList.add('open');
+}
+
+function renderTransformChain() {
+    const { id, chain } = State.transform;
+    const snip = State.snippets.find(s => s.id === id);
+    const list = el('transform-chain');
+    list.innerHTML = chain.length ? '' : `<li class="setting-desc">No transforms: copies as is</li>`;
+    chain.forEach((key, i) => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+            <span>${escapeHtml(Transforms.LIST[key].label)}</span>
+            <button class="btn text-btn transform-remove" aria-label="Remove step">×</button>
+        `;
+        li.querySelector('button').addEventListener('click', () => {
+            chain.splice(i, 1);
+            renderTransformChain();
+        });
+        list.appendChild(li);
+    });
+
+    // Templates preview unexpanded; placeholders are filled in when copying
+    const preview = el('transform-preview');
+    preview.classList.remove('transform-error');
+    if (isSecret(snip)) {
+        preview.textContent = SECRET_MASK;
+    } else {
+        try {
+            const out = Transforms.apply(snip.content, chain);
+            preview.textContent = out.length > TRANSFORM_PREVIEW_LENGTH ? out.slice(0, TRANSFORM_PREVIEW_LENGTH) + '…' : out;
+        } catch (e) {
+            preview.textContent = e.message;
+            preview.classList.add('transform-error');
+        }
+    }
+
+    el('transform-add-btn').disabled = chain.length >= Transforms.MAX_STEPS;
+    el('transform-save-btn').disabled = !chain.length;
+    el('transform-default-btn').textContent = chain.length || !snip.transform ? 'Set as Default' : 'Clear Default';
+    el('transform-default-btn').disabled = JSON.stringify(chain) === JSON.stringify(snip.transform || []);
+}
+
+async function renderTransformPresets() {
+    const { transformPresets } = await loadSettings();
+    const box = el('transform-presets');
+    box.innerHTML = transformPresets.length ? '' : `<span class="setting-desc">Saved presets appear here</span>`;
+    transformPresets.forEach(preset => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip transform-preset';
+        chip.innerHTML = `
+            <button class="btn preset-use" title="${escapeHtml(Transforms.describe(preset.chain))}">${escapeHtml(preset.name)}</button>
+            <button class="btn preset-delete" aria-label="Delete preset ${escapeHtml(preset.name)}">×</button>
+        `;
+        chip.querySelector('.preset-use').addEventListener('click', () => {
+            State.transform.chain = [...preset.chain];
+            renderTransformChain();
+        });
+        chip.querySelector('.preset-delete').addEventListener('click', async () => {
+            const { transformPresets: current } = await loadSettings();
+            await updateSettings({ transformPresets: current.filter(p => p.name !== preset.name) });
+            await renderTransformPresets();
+            showToast(`Deleted preset "${preset.name}"`);
+        });
+        box.appendChild(chip);
+    });
+}
+
+function addTransformStep() {
+    const { chain } = State.transform;
+    if (chain.length >= Transforms.MAX_STEPS) return;
+    chain.push(el('transform-select').value);
+    renderTransformChain();
+}
+
+async function copyWithTransform(snip, chain) {
+    if (snip.type === 'template') return copyTemplate(snip, chain);
+    let text;
+    try {
+        text = Transforms.apply(snip.content, chain);
+    } catch (e) {
+        return showToast(e.message, 'error');
+    }
+    try {
+        await copyTextToClipboard(text, snip.id);
+    } catch (e) {
+        showToast('Failed to copy text', 'error');
+    }
+}
+
+function copyFromTransformMenu() {
+    const { id, chain } = State.transform;
+    el('modal-transform').classList.remove('open');
+    copyWithTransform(State.snippets.find(s => s.id === id), chain);
+}
+
+// Usage stats and history are left alone, like pinning
+async function setDefaultTransform() {
+    const { id, chain } = State.transform;
+    const snip = State.snippets.find(s => s.id === id);
+    snip.transform = chain.length ? [...chain] : null;
+    await saveEncrypted();
+    renderTransformChain();
+    renderSnippets();
+    showToast(chain.length ? `Default: ${Transforms.describe(chain)}` : 'Default transform cleared');
+}
+
+// A preset with the same name is replaced
+function saveTransformPreset() {
+    const chain = [...State.transform.chain];
+    promptForm('Save Preset', Transforms.describe(chain), [
+        { name: 'name', placeholder: 'Preset name' }
+    ], async ({ name }) => {
+        const clean = name.trim();
+        if (!clean) return 'Enter a name';
+        if (clean.length > TAG_MAX_LENGTH) return `Name must be at most ${TAG_MAX_LENGTH} characters`;
+        const { transformPresets } = await loadSettings();
+        await updateSettings({
+            transformPresets: [...transformPresets.filter(p => p.name.toLowerCase() !== clean.toLowerCase()), { name: clean, chain }]
+        });
+        await renderTransformPresets();
+        showToast(`Saved preset "${clean}"`);
+    });
+}
+
+// --- BULK ACTIONS ---
+// Selection mode: clicking a card (or Space/Enter) toggles it, shift-click selects the range
+// from the last toggled card in the current filtered order. Every bulk action saves the vault once;
+// delete and merge also write the trash just before it (see moveToTrash).
+
+function toggleSelectMode(on = !State.selection) {
+    State.selection = on ? new Set() : null;
+    State.selectionAnchor = null;
+    el('bulk-bar').classList.toggle('hidden', !on);
+    el('select-btn').classList.toggle('active', on);
+    el('select-btn').setAttribute('aria-pressed', String(on));
+    renderSnippets();
+}
+
+function toggleSelection(id, range = false) {
+    const selection = State.selection;
+    const anchor = State.filteredIds.indexOf(State.selectionAnchor);
+    const target = State.filteredIds.indexOf(id);
+    if (range && anchor !== -1 && target !== -1) {
+        const [from, to] = anchor < target ? [anchor, target] : [target, anchor];
+        State.filteredIds.slice(from, to + 1).forEach(x => selection.add(x));
+    } else if (selection.has(id)) {
+        selection.delete(id);
+    } else {
+        selection.add(id);
+    }
+    State.selectionAnchor = id;
+    syncSelection();
+}
+
+// Selects every snippet matching the current filter (not just the loaded page), or clears
+function toggleSelectAll() {
+    const allSelected = State.filteredIds.length && State.filteredIds.every(id => State.selection.has(id));
+    State.selection = allSelected ? new Set() : new Set([...State.selection, ...State.filteredIds]);
+    syncSelection();
+}
+
+// Updates cards and the bar in place, so focus and scroll position survive
+function syncSelection() {
+    el('snippet-list').querySelectorAll('.snippet-card').forEach(card => {
+        const selected = State.selection.has(card.dataset.id);
+        card.classList.toggle('selected', selected);
+        card.querySelector('.select-box').checked = selected;
+    });
+    renderBulkBar();
+}
+
+function renderBulkBar() {
+    const count = selectedSnippets().length;
+    el('bulk-count').textContent = `${count} selected`;
+    const allSelected = State.filteredIds.length && State.filteredIds.every(id => State.selection.has(id));
+    el('bulk-all').textContent = allSelected ? 'None' : 'All';
+    el('bulk-bar').querySelectorAll('[data-bulk]').forEach(btn => { btn.disabled = count === 0; });
+}
+
+function selectedSnippets() {
+    return State.snippets.filter(s => State.selection.has(s.id));
+}
+
+function handleBulkAction(e) {
+    const action = e.target.closest('[data-bulk]');
+    if (!action || !selectedSnippets().length) return;
+    switch (action.dataset.bulk) {
+        case 'delete': return bulkDelete();
+        case 'pin': return bulkPin();
+        case 'tag': return bulkTag(true);
+        case 'untag': return bulkTag(false);
+        case 'export': return openExport('selected');
+        case 'merge': return bulkMerge();
+        case 'move': return bulkMove();
+    }
+}
+
+async function bulkDelete() {
+    const ids = selectedSnippets().map(s => s.id);
+    await moveToTrash(ids);
+    State.selection = new Set();
+    renderSnippets();
+    showToast(`${ids.length} moved to trash`, 'success', { label: 'Undo', onClick: () => restoreFromTrash(ids) });
+}
+
+// Pins all, or unpins all when every selected snippet is already pinned
+async function bulkPin() {
+    const items = selectedSnippets();
+    const pin = !items.every(s => s.pinned);
+    items.forEach(s => { s.pinned = pin; });
+    await saveEncrypted();
+    renderSnippets();
+    showToast(`${pin ? 'Pinned' : 'Unpinned'} ${items.length}`);
+}
+
+function bulkTag(add) {
+    const items = selectedSnippets();
+    promptForm(add ? 'Add Tag' : 'Remove Tag', `${add ? 'Add a tag to' : 'Remove a tag from'} ${items.length} selected snippet${items.length === 1 ? '' : 's'}.`, [
+        { name: 'tag', placeholder: 'Tag' }
+    ], async ({ tag }) => {
+        const clean = normalizeTag(tag);
+        if (!clean) return 'Enter a tag';
+
+        let changed = 0;
+        items.forEach(s => {
+            const tags = s.tags || [];
+            if (add && !tags.includes(clean)) {
+                s.tags = [...tags, clean];
+                changed++;
+            } else if (!add && tags.includes(clean)) {
+                s.tags = tags.filter(t => t !== clean);
+                changed++;
+            }
+        });
+        if (!changed) return add ? 'All selected snippets already have that tag' : 'No selected snippet has that tag';
+
+        await saveEncrypted();
+        renderSnippets();
+        showToast(`${add ? 'Tagged' : 'Untagged'} ${changed} snippet${changed === 1 ? '' : 's'}`);
+    });
+}
+
+// Joins selected text snippets, in list order, into a new one; the originals go to the trash
+async function bulkMerge() {
+    const order = new Map(State.filteredIds.map((id, i) => [id, i]));
+    const items = selectedSnippets().sort((a, b) => (order.get(a.id) ?? Infinity) - (order.get(b.id) ?? Infinity));
+    if (items.some(s => s.type !== 'text')) return showToast('Only text snippets can be merged', 'error');
+    if (items.length < 2) return showToast('Select at least two snippets to merge', 'error');
+
+    const merged = createSnippet({
+        type: 'text',
+        content: items.map(s => s.content).join('\n\n'),
+        tags: [...new Set(items.flatMap(s => s.tags || []))],
+        pinned: items.some(s => s.pinned),
+        secret: items.some(isSecret), // Merging a secret must not unmask it
+        source: { url: null, title: null, method: 'manual' }
+    });
+    const ids = items.map(s => s.id);
+    State.snippets.unshift(merged);
+    await moveToTrash(ids); // Saves the merged snippet along with the removal
+    State.selection = new Set([merged.id]);
+    renderSnippets();
+    showToast(`Merged ${ids.length} snippets`, 'success', {
+        label: 'Undo',
+        onClick: async () => {
+            State.snippets = State.snippets.filter(s => s.id !== merged.id);
+            await restoreFromTrash(ids);
+        }
+    });
+}
+
+// --- VAULT MANAGEMENT ---
+
+const NEW_VAULT_OPTION = '__new';
+
+// Vault picker on the unlock screen
+async function renderVaultPicker() {
+    const registry = await Vaults.registry();
+    const select = el('vault-select');
+    select.innerHTML = '';
+    registry.list.forEach(v => select.add(new Option(v.name, v.id, false, v.id === Vaults.current.id)));
+    select.add(new Option('New vault…', NEW_VAULT_OPTION));
+}
+
+async function handleVaultPick(e) {
+    if (e.target.value === NEW_VAULT_OPTION) {
+        e.target.value = Vaults.current.id;
+        return createVault();
+    }
+    await switchVault(e.target.value);
+}
+
+// The vault being left stays unlocked (its session key is kept), so snippets can be moved into it
+async function switchVault(id) {
+    if (State.key) await lockVault(false);
+    await Vaults.select(id);
+    await enterVault();
+}
+
+async function createVault() {
+    const registry = await Vaults.registry();
+    promptForm('New Vault', 'A separate vault with its own PIN, settings and snippets.', [
+        { name: 'name', placeholder: 'Name, e.g. Work' }
+    ], async ({ name }) => {
+        const result = Vaults.validateName(name, registry);
+        if (result.error) return result.error;
+        const vault = await Vaults.create(result.name);
+        await switchVault(vault.id);
+    });
+}
+
+// Drops a vault that was never set up and goes back to the first one
+async function cancelVaultSetup() {
+    if (await checkSetup()) return;
+    await Vaults.wipe(Vaults.current);
+    await Vaults.select();
+    await enterVault();
+}
+
+async function openVaultManager() {
+    await renderVaultManager();
+    el('modal-vaults').classList.add('open');
+}
+
+async function renderVaultManager() {
+    const registry = await Vaults.registry();
+    const list = el('vault-list');
+    list.innerHTML = '';
+
+    for (const vault of registry.list) {
+        const current = vault.id === Vaults.current.id;
+        let status = 'Open';
+        if (!current) {
+            if (await Vaults.isUnlocked(vault)) status = 'Unlocked';
+            else status = (await Vaults.isSetUp(vault)) ? 'Locked' : 'Not set up';
+        }
+
+        const row = document.createElement('div');
+        row.className = 'setting-item';
+        row.innerHTML = `
+            <div>
+                <label class="form-label">${escapeHtml(vault.name)}</label>
+                <div class="setting-desc">${status}</div>
+            </div>
+            <div style="display:flex; gap:5px;">
+                ${current ? '' : '<button class="btn secondary-btn switch-vault-btn">Open</button>'}
+                <button class="btn secondary-btn rename-vault-btn">Rename</button>
+                <button class="btn secondary-btn delete-vault-btn">Delete</button>
+            </div>
+        `;
+        if (!current) row.querySelector('.switch-vault-btn').addEventListener('click', () => switchVault(vault.id));
+        row.querySelector('.rename-vault-btn').addEventListener('click', () => renameVault(vault));
+        row.querySelector('.delete-vault-btn').addEventListener('click', () => deleteVault(vault));
+        list.appendChild(row);
+    }
+}
+
+async function renameVault(vault) {
+    const registry = await Vaults.registry();
+    promptForm('Rename Vault', `Rename "${vault.name}".`, [
+        { name: 'name', value: vault.name, placeholder: 'Vault name' }
+    ], async ({ name }) => {
+        const result = Vaults.validateName(name, registry, vault.id);
+        if (result.error) return result.error;
+        await Vaults.rename(vault.id, result.name);
+        el('vaults-desc').textContent = `Open: ${Vaults.current.name}`;
+        await renderVaultManager();
+        showToast(`Renamed to "${result.name}"`);
+    });
+}
+
+function deleteVault(vault) {
+    confirmAction(`Delete "${vault.name}"?`, 'Its snippets, history, trash and settings are erased permanently. Other vaults are kept.', async () => {
+        if (vault.id === Vaults.current.id) return handleReset('vault');
+        await Vaults.wipe(vault);
+        await renderVaultManager();
+        showToast(`Deleted "${vault.name}"`);
+    });
+}
+
+// The target must be unlocked too: records are re-encrypted with its key, which only
+// exists in the session while it is unlocked
+async function bulkMove() {
+    const registry = await Vaults.registry();
+    const targets = [];
+    for (const vault of registry.list) {
+        if (vault.id !== Vaults.current.id && await Vaults.isUnlocked(vault)) targets.push(vault);
+    }
+    if (!targets.length) return showToast('Unlock another vault first, then switch back here', 'error');
+
+    const ids = selectedSnippets().map(s => s.id);
+    promptForm('Move to Vault', `Move ${ids.length} selected snippet${ids.length === 1 ? '' : 's'}, with their history, to another unlocked vault.`, [
+        { name: 'vault', options: targets.map(v => ({ value: v.id, label: v.name })) }
+    ], async ({ vault }) => {
+        const target = targets.find(v => v.id === vault);
+        try {
+            await moveToVault(ids, target);
+        } catch (err) {
+            return 'Move failed: ' + err.message;
+        }
+        State.selection = new Set();
+        renderSnippets();
+        showToast(`Moved ${ids.length} to ${target.name}`);
+    });
+}
+
+// Copies the snippets and their history into `target` first; they are only removed here once that succeeded
+async function moveToVault(ids, target) {
+    const { sessionKey } = await Vaults.get('sessionKey', target, chrome.storage.session);
+    if (!sessionKey) throw new Error(`${target.name} is locked`);
+    const targetKey = await CryptoCore.importRawKey(sessionKey);
+    const { storageFormat, vaultIndex } = await Vaults.get(['storageFormat', 'vaultIndex'], target);
+    if (storageFormat !== VaultStore.FORMAT) throw new Error(`${target.name} uses an older storage format`);
+
+    const targetIds = await CryptoCore.decrypt(vaultIndex, targetKey);
+    const moving = State.snippets.filter(s => ids.includes(s.id));
+    const update = {};
+    for (const snip of moving) {
+        update[VaultStore.recordKey(snip.id)] = await CryptoCore.encrypt(snip, targetKey);
+        const revisions = await History.load(snip.id, State.key);
+        if (revisions.length) update[History.storageKey(snip.id)] = await CryptoCore.encrypt(revisions, targetKey);
+    }
+    update.vaultIndex = await CryptoCore.encrypt([...moving.map(s => s.id), ...targetIds], targetKey);
+    await Vaults.set(update, target);
+
+    State.snippets = State.snippets.filter(s => !ids.includes(s.id));
+    await saveEncrypted();
+    await History.remove(ids);
+}
+
+// --- TRASH VIEW ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function saveTrash() {
+    if (!State.key) return;
+    try {
+        await Trash.save(State.trash, State.key);
+    } catch (e) {
+        showToast('Save failed: Storage error', 'error');
+    }
+}
+
+async function moveToTrash(ids) {
+    const selected = new Set(ids);
+    const now = Date.now();
+    State.trash.unshift(...State.snippets.filter(s => selected.has(s.id)).map(s => ({ ...s, deletedAt: now })));
+    State.snippets = State.snippets.filter(s => !selected.has(s.id));
+    // Trash first: if the vault write fails the snippet is in both places rather than neither
+    await saveTrash();
+    await saveEncrypted();
+}
+
+async function restoreFromTrash(ids) {
+    if (!State.key) return;
+    const selected = new Set(ids);
+    const restored = State.trash.filter(s => selected.has(s.id)).map(({ deletedAt, ...snip }) => snip);
+    if (!restored.length) return;
+
+    State.snippets.unshift(...restored);
+    State.trash = State.trash.filter(s => !selected.has(s.id));
+    await saveEncrypted();
+    await saveTrash();
+    renderSnippets();
+    if (el('modal-trash').classList.contains('open')) renderTrash();
+    showToast(restored.length === 1 ? 'Snippet restored' : `${restored.length} snippets restored`);
+}
+
+async function purgeFromTrash(ids) {
+    const selected = new Set(ids);
+    State.trash = State.trash.filter(s => !selected.has(s.id));
+    await saveTrash();
+    await History.remove(ids);
+}
+
+async function purgeExpiredTrash() {
+    const { trashRetentionDays } = await loadSettings();
+    if (!trashRetentionDays) return;
+    const cutoff = Date.now() - trashRetentionDays * DAY_MS;
+    const expired = State.trash.filter(s => s.deletedAt < cutoff).map(s => s.id);
+    if (expired.length) await purgeFromTrash(expired);
+}
+
+function openTrash() {
+    renderTrash();
+    el('modal-trash').classList.add('open');
+}
+
+async function renderTrash() {
+    const list = el('trash-list');
+    const { trashRetentionDays } = await loadSettings();
+    el('trash-note').textContent = trashRetentionDays
+        ? `Items are erased ${trashRetentionDays} days after deletion.`
+        : 'Items stay here until you erase them.';
+    el('empty-trash-btn').disabled = State.trash.length === 0;
+    list.innerHTML = State.trash.length ? '' : `<div class="empty-state">Trash is empty</div>`;
+
+    State.trash.forEach(snip => {
+        const row = document.createElement('div');
+        row.className = 'setting-item';
+        row.innerHTML = `
+            <div class="trash-item">
+                <div class="trash-label">${escapeHtml(listLabel(snip)) || '(empty)'}</div>
+                <span class="setting-desc">Deleted ${escapeHtml(new Date(snip.deletedAt).toLocaleString())}</span>
+            </div>
+            <div style="display:flex; gap:5px;">
+                <button class="btn secondary-btn restore-trash-btn">Restore</button>
+                <button class="btn secondary-btn purge-trash-btn">Erase</button>
+            </div>
+        `;
+        row.querySelector('.restore-trash-btn').addEventListener('click', () => restoreFromTrash([snip.id]));
+        row.querySelector('.purge-trash-btn').addEventListener('click', () => {
+            confirmAction('Erase Snippet?', 'It will be gone for good, including its history.', async () => {
+                await purgeFromTrash([snip.id]);
+                renderTrash();
+            });
+        });
+        list.appendChild(row);
+    });
+}
+
+function emptyTrash() {
+    confirmAction('Empty Trash?', `Permanently erase ${State.trash.length} snippet${State.trash.length === 1 ? '' : 's'}. This cannot be undone.`, async () => {
+        await purgeFromTrash(State.trash.map(s => s.id));
+        renderTrash();
+        showToast('Trash emptied');
+    });
+}
+
+// --- TAGS ---
+
+const TAG_MAX_LENGTH = 32;
+
+function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/\s+/g, '-').slice(0, TAG_MAX_LENGTH);
+}
+
+// Tag -> usage count across the vault, most used first
+function collectTags() {
+    const counts = new Map();
+    State.snippets.forEach(s => (s.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+    return new Map([...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+function renderTagFilter() {
+    const bar = el('tag-filter');
+    const tags = collectTags();
+    if (State.activeTag && !tags.has(State.activeTag)) State.activeTag = null;
+
+    bar.innerHTML = '';
+    bar.classList.toggle('hidden', tags.size === 0);
+
+    tags.forEach((count, tag) => {
+        const chip = document.createElement('button');
+        chip.className = 'btn tag-chip filter-chip' + (tag === State.activeTag ? ' active' : '');
+        chip.textContent = `${tag} (${count})`;
+        chip.setAttribute('aria-pressed', tag === State.activeTag);
+        chip.addEventListener('click', () => {
+            State.activeTag = tag === State.activeTag ? null : tag;
+            State.pagination.page = 1;
+            renderSnippets();
+        });
+        bar.appendChild(chip);
+    });
+
+    const manage = document.createElement('button');
+    manage.className = 'btn text-btn tag-manage-btn';
+    manage.textContent = 'Manage';
+    manage.addEventListener('click', openTagManager);
+    bar.appendChild(manage);
+}
+
+function renderEditTags() {
+    const wrap = el('edit-tags');
+    wrap.querySelectorAll('.tag-chip').forEach(c => c.remove());
+    const input = el('edit-tag-input');
+
+    State.currentTags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = tag;
+        const remove = document.createElement('button');
+        remove.className = 'btn tag-remove';
+        remove.setAttribute('aria-label', `Remove tag ${tag}`);
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            State.currentTags = State.currentTags.filter(t => t !== tag);
+            renderEditTags();
+        });
+        chip.appendChild(remove);
+        wrap.insertBefore(chip, input);
+    });
+
+    // Autocomplete from tags already in the vault
+    const list = el('tag-suggestions');
+    list.innerHTML = '';
+    collectTags().forEach((_, tag) => {
+        if (State.currentTags.includes(tag)) return;
+        const option = document.createElement('option');
+        option.value = tag;
+        list.appendChild(option);
+    });
+}
+
+function handleTagInput(e) {
+    if (e.key !== 'Enter' && e.key !== ',') return;
+    e.preventDefault();
+    commitTagInput();
+}
+
+function commitTagInput() {
+    const input = el('edit-tag-input');
+    const tag = normalizeTag(input.value.replace(/,/g, ''));
+    input.value = '';
+    if (!tag || State.currentTags.includes(tag)) return;
+    State.currentTags.push(tag);
+    renderEditTags();
+}
+
+function openTagManager() {
+    renderTagManager();
+    el('modal-tags').classList.add('open');
+}
+
+function renderTagManager() {
+    const list = el('tag-manage-list');
+    const tags = collectTags();
+    list.innerHTML = tags.size ? '' : `<div class="empty-state">No tags yet</div>`;
+
+    tags.forEach((count, tag) => {
+        const row = document.createElement('div');
+        row.className = 'setting-item';
+        row.innerHTML = `
+            <div>
+                <span class="tag-chip">${escapeHtml(tag)}</span>
+                <span class="setting-desc">${count} snippet${count === 1 ? '' : 's'}</span>
+            </div>
+            <div style="display:flex; gap:5px;">
+                <button class="btn secondary-btn rename-tag-btn">Rename</button>
+                <button class="btn secondary-btn delete-tag-btn">Delete</button>
+            </div>
+        `;
+        row.querySelector('.rename-tag-btn').addEventListener('click', () => renameTag(tag));
+        row.querySelector('.delete-tag-btn').addEventListener('click', () => deleteTag(tag));
+        list.appendChild(row);
+    });
+}
+
+function renameTag(tag) {
+    promptForm('Rename Tag', `Rename "${tag}" on every snippet. Renaming to an existing tag merges them.`, [
+        { name: 'name', value: tag, placeholder: 'New tag name' }
+    ], async ({ name }) => {
+        const next = normalizeTag(name);
+        if (!next) return 'Tag name cannot be empty';
+        if (next === tag) return;
+
+        State.snippets.forEach(s => {
+            if (!(s.tags || []).includes(tag)) return;
+            s.tags = [...new Set(s.tags.map(t => t === tag ? next : t))];
+        });
+        if (State.activeTag === tag) State.activeTag = next;
+
+        await saveEncrypted();
+        renderTagManager();
+        renderSnippets();
+        showToast(`Renamed tag to "${next}"`);
+    });
+}
+
+function deleteTag(tag) {
+    confirmAction('Delete Tag?', `Remove "${tag}" from every snippet. The snippets themselves are kept.`, async () => {
+        State.snippets.forEach(s => {
+            if ((s.tags || []).includes(tag)) s.tags = s.tags.filter(t => t !== tag);
+        });
+
+        await saveEncrypted();
+        renderTagManager();
+        renderSnippets();
+        showToast(`Deleted tag "${tag}"`);
+    });
+}
+
+// --- SECRETS ---
+// Secret snippets are masked wherever they are listed and shown only while held. After copying
+// one, the background clears the clipboard if it still holds the value (see background.js).
+
+const SECRET_MASK = '••••••••';
+
+function isSecret(snip) {
+    return snip.secret === true && snip.type !== 'image';
+}
+
+// Shows `html` in `body` while `button` is held (pointer, or Space/Enter on the keyboard)
+function bindReveal(button, body, html) {
+    const masked = body.innerHTML;
+    const show = () => { body.innerHTML = html; };
+    const hide = () => { body.innerHTML = masked; };
+    button.addEventListener('pointerdown', show);
+    ['pointerup', 'pointerleave', 'pointercancel', 'blur'].forEach(type => button.addEventListener(type, hide));
+    button.addEventListener('keydown', (e) => {
+        if (e.key !== ' ' && e.key !== 'Enter') return;
+        e.preventDefault();
+        if (!e.repeat) show();
+    });
+    button.addEventListener('keyup', hide);
+}
+
+// Returns the delay in seconds, or 0 when auto-clear is off. Only a hash of the value leaves the
+// popup; line endings are normalised since the clipboard may convert them.
+async function scheduleClipboardClear(text) {
+    const { secretClearSeconds } = await loadSettings();
+    if (!secretClearSeconds) return 0;
+    try {
+        const res = await chrome.runtime.sendMessage({
+            action: 'scheduleClipboardClear',
+            hash: await CryptoCore.sha256(text.replace(/\r\n?/g, '\n')),
+            delayMs: secretClearSeconds * 1000
+        });
+        if (!res || res.error) throw new Error(res ? res.error : 'No response');
+        return secretClearSeconds;
+    } catch (e) {
+        showToast('The clipboard will not be cleared automatically', 'error');
+        return 0;
+    }
+}
+
 // --- UTILS & HELPERS ---
 
-async function copyTextToClipboard(text) {
+// `snipId` (optional) counts the copy towards that snippet's usage stats
+async function copyTextToClipboard(text, snipId = null) {
     await navigator.clipboard.writeText(text);
-    showToast("Text copied!");
+    const snip = snipId && State.snippets.find(s => s.id === snipId);
+    const clearIn = snip && isSecret(snip) ? await scheduleClipboardClear(text) : 0;
+    showToast(clearIn ? `Secret copied, clears in ${clearIn}s` : "Text copied!");
+    if (snipId) await markUsed(snipId);
 }
 
-async function copyImageToClipboard(base64) {
+async function copyImageToClipboard(base64, snipId = null) {
     try {
         const res = await fetch(base64);
-        const blob = await res.blob();
+        let blob = await res.blob();
+        // The async clipboard API only accepts PNG images
+        if (blob.type !== 'image/png') {
+            const bitmap = await createImageBitmap(blob);
+            const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0);
+            blob = await canvas.convertToBlob({ type: 'image/png' });
+        }
         await navigator.clipboard.write([
             new ClipboardItem({ [blob.type]: blob })
         ]);
         showToast("Image copied!");
+        if (snipId) await markUsed(snipId);
     } catch (e) {
         showToast("Failed to copy image", "error");
     }
@@ -449,52 +3151,357 @@ function handleSearch(e) {
     renderSnippets();
 }
 
+// Images match on content hash (when both sides have one), everything else on content.
+// Trashed snippets count too, so imports and captures do not bring them back.
+function findDuplicate(candidate, pool = [...State.snippets, ...State.trash]) {
+    return pool.find(s => {
+        if (candidate.type === 'image' && s.type === 'image' && candidate.hash && s.hash) return s.hash === candidate.hash;
+        return s.content === candidate.content;
+    });
+}
+
+// Loads the private key for the pending queue, creating the keypair for vaults that predate it
+async function ensurePendingKeyPair() {
+    const { pendingPrivateKey } = await Vaults.get('pendingPrivateKey');
+    if (pendingPrivateKey) {
+        const jwk = await CryptoCore.decrypt(pendingPrivateKey, State.key);
+        State.pendingKey = await CryptoCore.importPendingPrivateKey(jwk);
+        return;
+    }
+
+    const { publicJwk, privateJwk } = await CryptoCore.generatePendingKeyPair();
+    await Vaults.set({
+        pendingPublicKey: publicJwk,
+        pendingPrivateKey: await CryptoCore.encrypt(privateJwk, State.key)
+    });
+    State.pendingKey = await CryptoCore.importPendingPrivateKey(privateJwk);
+}
+
 async function processPendingClips() {
-    const { pendingClips } = await chrome.storage.local.get('pendingClips');
+    const { pendingClips } = await Vaults.get('pendingClips');
     if (!pendingClips || pendingClips.length === 0) return;
 
     let count = 0;
-    pendingClips.forEach(clip => {
+    for (const entry of pendingClips) {
+        let clip = entry;
+        // Sealed entries carry an ephemeral key; plain ones were queued before encryption existed
+        if (entry.epk) {
+            try {
+                clip = await CryptoCore.openSealed(entry, State.pendingKey);
+            } catch (e) {
+                console.warn('Dropping unreadable pending clip', e);
+                continue;
+            }
+        }
+        if (typeof clip.content !== 'string' || !clip.content) continue;
+        const isImage = clip.type === 'image';
+        if (isImage && !IMAGE_DATA_URL.test(clip.content)) continue;
+
         // Prevent dupes
-        if (!State.snippets.some(s => s.content === clip.content)) {
-            State.snippets.unshift({
-                id: crypto.randomUUID(),
-                type: 'text',
+        if (!findDuplicate(clip)) {
+            const capturedAt = Number.isFinite(clip.timestamp) ? clip.timestamp : Date.now();
+            const snippet = createSnippet({
+                type: isImage ? 'image' : 'text',
                 content: clip.content,
-                tags: ['auto'],
-                date: Date.now()
+                // The content script's secret detector marks clips it let through in 'flag' mode
+                tags: clip.flagged ? ['auto', 'possible-secret'] : ['auto'],
+                secret: clip.flagged === true,
+                createdAt: capturedAt,
+                updatedAt: capturedAt,
+                source: sanitizeSource(clip.source)
             });
+            if (isImage) Object.assign(snippet, sanitizeImageMeta(clip));
+            // Copies from web pages nearly always carry markup; only keep it when it formats something
+            if (!isImage && typeof clip.html === 'string') {
+                const html = RichText.sanitize(clip.html);
+                if (RichText.isFormatted(html)) Object.assign(snippet, { type: 'html', html });
+            }
+            State.snippets.unshift(snippet);
             count++;
         }
-    });
+    }
 
+    // On a failed save the clips stay queued for the next unlock
     if (count > 0) {
-        await saveEncrypted();
-        await chrome.storage.local.remove('pendingClips');
+        if (!(await saveEncrypted())) return;
         showToast(`${count} items auto-saved`);
     }
+
+    // Only the entries read above are dropped; the worker may have queued more meanwhile
+    const processed = new Set(pendingClips.map(entry => JSON.stringify(entry)));
+    const { pendingClips: current } = await Vaults.get('pendingClips');
+    const rest = (current || []).filter(entry => !processed.has(JSON.stringify(entry)));
+    if (rest.length) await Vaults.set({ pendingClips: rest });
+    else await Vaults.remove('pendingClips');
 }
 
+const PIN_MIN_LENGTH = 6;
+const PIN_MAX_LENGTH = 128;
+
+// Accepts the classic 6-digit PIN as well as longer alphanumeric passphrases
 function validatePin(pin) {
-    if (!/^\d{6}$/.test(pin)) {
-        showToast('PIN must be exactly 6 digits', 'error');
+    if (pin.length < PIN_MIN_LENGTH) {
+        showToast(`PIN must be at least ${PIN_MIN_LENGTH} characters`, 'error');
+        return false;
+    }
+    if (pin.length > PIN_MAX_LENGTH) {
+        showToast(`PIN must be at most ${PIN_MAX_LENGTH} characters`, 'error');
         return false;
     }
     return true;
 }
 
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+// Rough entropy estimate (character pool x length), discounted for repeats and runs
+function passphraseStrength(pin) {
+    if (!pin) return { score: 0, label: '' };
+
+    let pool = 0;
+    if (/[0-9]/.test(pin)) pool += 10;
+    if (/[a-z]/.test(pin)) pool += 26;
+    if (/[A-Z]/.test(pin)) pool += 26;
+    if (/[^0-9a-zA-Z]/.test(pin)) pool += 33;
+
+    let effective = 0;
+    for (let i = 0; i < pin.length; i++) {
+        const prev = pin.charCodeAt(i - 1), cur = pin.charCodeAt(i), prev2 = pin.charCodeAt(i - 2);
+        const repeat = cur === prev;
+        const run = Math.abs(cur - prev) === 1 && cur - prev === prev - prev2;
+        effective += repeat || run ? 0.25 : 1;
+    }
+
+    const bits = effective * Math.log2(pool || 1);
+    const score = bits < 28 ? 0 : bits < 40 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+    return { score, label: STRENGTH_LABELS[score] };
+}
+
+function renderStrength(inputId) {
+    const meter = document.querySelector(`.strength-meter[data-for="${inputId}"]`);
+    if (!meter) return;
+    const { score, label } = passphraseStrength(el(inputId).value);
+    meter.dataset.score = el(inputId).value ? score : '';
+    meter.querySelector('.strength-label').textContent = label;
+}
+
+// --- MONITOR RULES ---
+
+function parseDomainList(text) {
+    const domains = text.split(/[\s,]+/).map(d => {
+        const clean = d.trim().toLowerCase().replace(/^\*\./, '');
+        try {
+            return clean.includes('/') ? new URL(clean.includes('://') ? clean : 'https://' + clean).hostname : clean;
+        } catch (e) {
+            return '';
+        }
+    });
+    return [...new Set(domains.filter(d => /^[a-z0-9.-]+$/.test(d)))];
+}
+
+async function openMonitorRules() {
+    const s = await loadSettings();
+    el('monitor-mode').value = s.monitorMode;
+    el('monitor-allow').value = s.monitorAllow.join('\n');
+    el('monitor-deny').value = s.monitorDeny.join('\n');
+    el('monitor-min').value = s.monitorMinLength;
+    el('monitor-max').value = s.monitorMaxLength;
+    el('secret-action').value = s.secretAction;
+    document.querySelectorAll('#secret-detectors input').forEach(box => {
+        box.checked = s.secretDetectors.includes(box.value);
+    });
+    el('modal-monitor').classList.add('open');
+}
+
+async function saveMonitorRules(e) {
+    e.preventDefault();
+    const min = parseInt(el('monitor-min').value, 10);
+    const max = parseInt(el('monitor-max').value, 10);
+    if (!(min >= 1) || !(max >= min)) return showToast('Length limits are invalid', 'error');
+
+    const allow = parseDomainList(el('monitor-allow').value);
+    const mode = el('monitor-mode').value;
+    if (mode === 'allowlist' && !allow.length) return showToast('Add at least one allowed site', 'error');
+
+    await updateSettings({
+        monitorMode: mode,
+        monitorAllow: allow,
+        monitorDeny: parseDomainList(el('monitor-deny').value),
+        monitorMinLength: min,
+        monitorMaxLength: max,
+        secretAction: el('secret-action').value,
+        secretDetectors: [...document.querySelectorAll('#secret-detectors input:checked')].map(b => b.value)
+    });
+    el('modal-monitor').classList.remove('open');
+    showToast('Monitor rules saved');
+}
+
+// --- STORAGE & RETENTION ---
+// Sizes are of the plaintext record; encryption and base64 add roughly a third on disk.
+
+function snippetSize(snip) {
+    return JSON.stringify(snip).length;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Ids removed by the rules: expired `auto` clips, then the least recently active snippets
+// until the count and size caps hold. Pinned and `spared` snippets are never picked, but still count.
+function retentionVictims(snippets, rules, spared = new Set()) {
+    const victims = new Set();
+    const candidate = (s) => !s.pinned && !spared.has(s.id);
+    if (rules.autoExpireDays) {
+        const cutoff = Date.now() - rules.autoExpireDays * DAY_MS;
+        snippets.forEach(s => {
+            if (candidate(s) && (s.tags || []).includes('auto') && lastActivity(s) < cutoff) victims.add(s.id);
+        });
+    }
+
+    const maxBytes = rules.maxVaultMB * 1024 * 1024;
+    if (rules.maxSnippets || maxBytes) {
+        const kept = snippets.filter(s => !victims.has(s.id));
+        let count = kept.length;
+        let bytes = kept.reduce((sum, s) => sum + snippetSize(s), 0);
+        const oldestFirst = kept.filter(candidate).sort((a, b) => lastActivity(a) - lastActivity(b));
+        for (const snip of oldestFirst) {
+            if ((!rules.maxSnippets || count <= rules.maxSnippets) && (!maxBytes || bytes <= maxBytes)) break;
+            victims.add(snip.id);
+            count--;
+            bytes -= snippetSize(snip);
+        }
+    }
+    return [...victims];
+}
+
+// Moves what the rules remove to the trash. Runs after snippets are added and when the rules
+// change; `keep` are ids the user just added or imported, which it leaves alone.
+async function applyRetention(keep = []) {
+    const victims = retentionVictims(State.snippets, await loadSettings(), new Set(keep));
+    if (!victims.length) return;
+    await moveToTrash(victims);
+    showToast(`Retention rules moved ${victims.length} snippet${victims.length === 1 ? '' : 's'} to the trash`);
+}
+
+async function openStorage() {
+    const s = await loadSettings();
+    el('retention-expire').value = String(s.autoExpireDays);
+    el('retention-max-count').value = s.maxSnippets;
+    el('retention-max-size').value = String(s.maxVaultMB);
+    el('modal-storage').classList.add('open');
+    await renderStorageUsage();
+}
+
+async function renderStorageUsage() {
+    const byType = new Map();
+    State.snippets.forEach(snip => {
+        const entry = byType.get(snip.type) || { count: 0, bytes: 0 };
+        entry.count++;
+        entry.bytes += snippetSize(snip);
+        byType.set(snip.type, entry);
+    });
+    const ids = [...State.snippets, ...State.trash].map(s => s.id);
+    const [total, historyBytes, trashBytes] = await Promise.all([
+        chrome.storage.local.getBytesInUse(await Vaults.keysOf()),
+        chrome.storage.local.getBytesInUse(ids.map(id => Vaults.key(History.storageKey(id)))),
+        chrome.storage.local.getBytesInUse([Trash.indexName, ...State.trash.map(s => Trash.recordKey(s.id))].map(k => Vaults.key(k)))
+    ]);
+
+    const TYPE_LABELS = { text: 'Text', template: 'Templates', html: 'Rich text', code: 'Code', image: 'Images' };
+    const row = (label, detail, bytes) => `
+        <div class="usage-row"><span>${escapeHtml(label)}</span><span class="setting-desc">${detail}</span><span>${formatBytes(bytes)}</span></div>`;
+    el('storage-usage').innerHTML = `
+        <div class="usage-total">${formatBytes(total)} on disk in ${escapeHtml(Vaults.current.name)}</div>
+        ${[...byType].sort((a, b) => b[1].bytes - a[1].bytes)
+            .map(([type, e]) => row(TYPE_LABELS[type] || type, `${e.count} item${e.count === 1 ? '' : 's'}`, e.bytes)).join('')}
+        ${row('History', 'encrypted', historyBytes)}
+        ${row('Trash', `${State.trash.length} item${State.trash.length === 1 ? '' : 's'}, encrypted`, trashBytes)}
+    `;
+
+    const largest = [...State.snippets].sort((a, b) => snippetSize(b) - snippetSize(a)).slice(0, 5);
+    const list = el('storage-largest');
+    list.innerHTML = largest.length ? '' : `<li class="setting-desc">No snippets yet</li>`;
+    largest.forEach(snip => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+            <button class="btn usage-item">
+                <span class="trash-label">${escapeHtml(listLabel(snip)) || '(empty)'}</span>
+                <span class="setting-desc">${formatBytes(snippetSize(snip))}</span>
+            </button>
+        `;
+        li.querySelector('button').addEventListener('click', () => {
+            el('modal-storage').classList.remove('open');
+            el('modal-settings').classList.remove('open');
+            openEditModal(snip.id);
+        });
+        list.appendChild(li);
+    });
+}
+
+async function saveRetentionRules(e) {
+    e.preventDefault();
+    const maxSnippets = parseInt(el('retention-max-count').value || '0', 10);
+    if (!(maxSnippets >= 0)) return showToast('Snippet limit is invalid', 'error');
+    const rules = {
+        autoExpireDays: Number(el('retention-expire').value),
+        maxSnippets,
+        maxVaultMB: Number(el('retention-max-size').value)
+    };
+
+    const apply = async () => {
+        await updateSettings(rules);
+        await applyRetention();
+        renderSnippets();
+        await renderStorageUsage();
+        showToast('Retention rules saved');
+    };
+
+    // Rules take effect right away, so say what they would remove first
+    const victims = retentionVictims(State.snippets, rules);
+    if (!victims.length) return apply();
+    confirmAction('Apply Retention Rules?', `${victims.length} snippet${victims.length === 1 ? '' : 's'} will be moved to the trash now. Pinned snippets are kept.`, apply);
+}
+
 // --- DATA IMPORT / EXPORT ---
 
-function handleExport() {
-    if (!State.snippets.length) return showToast("Nothing to export");
-    
-    const dataStr = JSON.stringify(State.snippets, null, 2);
-    const blob = new Blob([dataStr], {type: "application/json"});
+function handleExport(snippets = State.snippets) {
+    if (!snippets.length) return showToast("Nothing to export");
+
+    promptForm('Encrypted Backup', 'Choose a passphrase for this backup. It is required to restore the file and cannot be recovered.', [
+        { name: 'passphrase', type: 'password', placeholder: 'Backup passphrase' },
+        { name: 'confirm', type: 'password', placeholder: 'Confirm passphrase' }
+    ], async ({ passphrase, confirm }) => {
+        if (passphrase.length < BackupCore.MIN_PASSPHRASE) {
+            return `Passphrase must be at least ${BackupCore.MIN_PASSPHRASE} characters`;
+        }
+        if (passphrase !== confirm) return 'Passphrases do not match';
+
+        try {
+            setLoading(true);
+            const backup = await BackupCore.create(snippets, passphrase);
+            downloadJson(backup, `modcore-backup-${new Date().toISOString().slice(0,10)}.json`);
+            showToast('Encrypted backup exported');
+        } catch (err) {
+            showToast('Export failed: ' + err.message, 'error');
+        } finally {
+            setLoading(false);
+        }
+    });
+}
+
+function downloadJson(data, filename) {
+    downloadFile(JSON.stringify(data, null, 2), filename, "application/json");
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
-    
+
     const a = document.createElement('a');
     a.href = url;
-    a.download = `modcore-backup-${new Date().toISOString().slice(0,10)}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -504,41 +3511,493 @@ function handleExport() {
 function handleImport(e) {
     const file = e.target.files[0];
     if (!file) return;
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
 
     const reader = new FileReader();
-    reader.onload = async (event) => {
+    reader.onload = (event) => {
+        const text = event.target.result;
+        const adapter = Object.values(Adapters).find(a => a.extensions.includes(extension));
+        if (adapter) {
+            return openImportPreview({ name: file.name, label: adapter.label, adapter, text });
+        }
+
+        let parsed;
         try {
-            const imported = JSON.parse(event.target.result);
-            if (!Array.isArray(imported)) throw new Error("Invalid format");
-            
-            confirmAction('Import Data', `Merge ${imported.length} snippets? duplicates will be skipped.`, async () => {
-                let added = 0;
-                imported.forEach(item => {
-                    if (!item.content || !item.type) return;
-                    // Check duplicate
-                    if (!State.snippets.some(s => s.content === item.content)) {
-                        // Sanitize structure
-                        item.id = crypto.randomUUID(); 
-                        State.snippets.push(item);
-                        added++;
-                    }
-                });
-                
-                await saveEncrypted();
-                renderSnippets();
-                showToast(`Imported ${added} snippets`);
-                el('modal-settings').classList.remove('open');
-            });
+            parsed = JSON.parse(text);
         } catch (err) {
-            showToast("Invalid JSON file", "error");
+            return showToast("Unrecognized file: use a backup, CSV, Markdown or text file", "error");
+        }
+
+        if (BackupCore.isBackup(parsed)) {
+            promptForm('Encrypted Backup', 'Enter the passphrase this backup was exported with.', [
+                { name: 'passphrase', type: 'password', placeholder: 'Backup passphrase' }
+            ], async ({ passphrase }) => {
+                try {
+                    setLoading(true);
+                    const records = await BackupCore.open(parsed, passphrase);
+                    openImportPreview({ name: file.name, label: 'Encrypted backup', records });
+                } catch (err) {
+                    showToast(err.message, 'error');
+                } finally {
+                    setLoading(false);
+                }
+            });
+        } else if (Array.isArray(parsed)) {
+            openImportPreview({
+                name: file.name,
+                label: 'Legacy backup',
+                warning: 'This is an unencrypted legacy backup. Anyone with the file could read it.',
+                records: parsed
+            });
+        } else {
+            showToast("Unrecognized backup format", "error");
         }
     };
     reader.readAsText(file);
     e.target.value = ''; // reset
 }
 
-async function handleReset() {
-    await chrome.storage.local.clear();
+// Sorts raw records into what an import would add and what it would skip. Nothing is merged here.
+function classifyRecords(records) {
+    const added = [];
+    let duplicates = 0, invalid = 0;
+    records.forEach(raw => {
+        const item = sanitizeSnippet(raw);
+        if (!item) return invalid++;
+        if (findDuplicate(item, [...State.snippets, ...State.trash, ...added])) return duplicates++;
+        added.push(item);
+    });
+    return { added, duplicates, invalid };
+}
+
+// `source`: { name, label, warning?, records } or { name, label, adapter, text } for adapter formats,
+// whose options (column mapping, delimiter) can be changed while previewing
+function openImportPreview(source) {
+    State.importPreview = { source, added: [] };
+    el('import-source').textContent = `${source.name} · ${source.label}`;
+    el('import-warning').textContent = source.warning || '';
+    el('import-warning').classList.toggle('hidden', !source.warning);
+    el('import-options').innerHTML = source.adapter && source.adapter.renderOptions
+        ? source.adapter.renderOptions(source.text)
+        : '';
+    el('modal-settings').classList.remove('open');
+    el('modal-import').classList.add('open');
+    refreshImportPreview();
+}
+
+function importOptions() {
+    const options = {};
+    el('import-options').querySelectorAll('[data-option]').forEach(input => { options[input.dataset.option] = input.value; });
+    return options;
+}
+
+function refreshImportPreview() {
+    const preview = State.importPreview;
+    if (!preview) return;
+    const { source } = preview;
+
+    let result;
+    try {
+        const records = source.adapter ? source.adapter.parse(source.text, importOptions()) : source.records;
+        result = classifyRecords(records);
+    } catch (err) {
+        result = { added: [], duplicates: 0, invalid: 0, error: err.message };
+    }
+    preview.added = result.added;
+
+    const count = (n, label, className) => `<div class="import-count ${className}"><strong>${n}</strong><span>${label}</span></div>`;
+    el('import-counts').innerHTML = result.error
+        ? `<p class="setting-desc" style="color:var(--danger)">${escapeHtml(result.error)}</p>`
+        : count(result.added.length, 'to add', 'added') + count(result.duplicates, 'duplicate', '') + count(result.invalid, 'invalid', '');
+
+    const TYPE_LABELS = { text: 'Text', template: 'Template', html: 'Rich text', code: 'Code', image: 'Image' };
+    el('import-sample').innerHTML = result.added.slice(0, 5).map(snip => {
+        return `<li class="usage-item"><span class="trash-label">${escapeHtml(listLabel(snip)) || '(empty)'}</span><span class="setting-desc">${TYPE_LABELS[snip.type]}</span></li>`;
+    }).join('');
+
+    const button = el('import-confirm-btn');
+    button.disabled = result.added.length === 0;
+    button.textContent = result.added.length ? `Import ${result.added.length} snippet${result.added.length === 1 ? '' : 's'}` : 'Nothing to import';
+}
+
+function closeImportPreview() {
+    State.importPreview = null;
+    el('import-options').innerHTML = '';
+    el('import-sample').innerHTML = '';
+    el('modal-import').classList.remove('open');
+}
+
+async function confirmImport() {
+    const preview = State.importPreview;
+    if (!preview || !preview.added.length) return;
+    const added = preview.added;
+    closeImportPreview();
+
+    State.snippets.push(...added);
+    if (await saveEncrypted()) await applyRetention(added.map(s => s.id));
+    renderSnippets();
+    showToast(`Imported ${added.length} snippet${added.length === 1 ? '' : 's'}`);
+}
+
+// --- EXPORT ---
+
+const EXPORT_SCOPES = { all: 'All snippets', filtered: 'Current filter', selected: 'Selection' };
+
+function exportSnippets(scope) {
+    if (scope === 'selected') return State.selection ? selectedSnippets() : [];
+    if (scope === 'filtered') {
+        const byId = new Map(State.snippets.map(s => [s.id, s]));
+        return State.filteredIds.map(id => byId.get(id)).filter(Boolean);
+    }
+    return State.snippets;
+}
+
+function openExport(scope = 'all') {
+    const select = el('export-scope');
+    select.innerHTML = Object.entries(EXPORT_SCOPES).map(([value, label]) => {
+        const n = exportSnippets(value).length;
+        return `<option value="${value}"${n ? '' : ' disabled'}>${label} (${n})</option>`;
+    }).join('');
+    select.value = exportSnippets(scope).length ? scope : 'all';
+    renderExportNote();
+    el('modal-export').classList.add('open');
+}
+
+function renderExportNote() {
+    const format = el('export-format').value;
+    el('export-note').textContent = format === 'backup'
+        ? 'Encrypted with a passphrase you choose. Restores everything, including images.'
+        : `Unencrypted ${Adapters[format].label} file. Anyone with the file can read it.`;
+}
+
+function handleExportSubmit(e) {
+    e.preventDefault();
+    const format = el('export-format').value;
+    const snippets = exportSnippets(el('export-scope').value);
+    if (!snippets.length) return showToast("Nothing to export");
+    el('modal-export').classList.remove('open');
+
+    if (format === 'backup') return handleExport(snippets);
+    const adapter = Adapters[format];
+    confirmAction('Export Unencrypted?', `${snippets.length} snippet${snippets.length === 1 ? '' : 's'} will be saved unencrypted as ${adapter.label}. Anyone with the file can read them.`, () => {
+        const { content, skipped } = adapter.serialize(snippets);
+        downloadFile(content, `modcore-snippets-${new Date().toISOString().slice(0,10)}.${adapter.extensions[0]}`, adapter.mime);
+        showToast(`Exported ${snippets.length - skipped} snippets` + (skipped ? ` (${skipped} images skipped)` : ''));
+    });
+}
+
+// --- IMPORT / EXPORT ADAPTERS ---
+// Plaintext formats. `parse(text, options)` returns raw records for sanitizeSnippet, so imports
+// get the same validation as backups; `serialize(snippets)` returns { content, skipped }.
+// `renderOptions(text)` builds the preview controls; inputs with data-option feed `options`.
+
+const CSV_FIELDS = [
+    { key: 'content', label: 'Content', aliases: ['content', 'text', 'snippet', 'value', 'body'] },
+    { key: 'type', label: 'Type', aliases: ['type', 'kind'] },
+    { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'category'] },
+    { key: 'caption', label: 'Caption', aliases: ['caption', 'description', 'title'] },
+    { key: 'html', label: 'HTML', aliases: ['html', 'markup'] },
+    { key: 'language', label: 'Language', aliases: ['language', 'lang'] },
+    { key: 'created', label: 'Created', aliases: ['created', 'createdat', 'created_at', 'date'] },
+    { key: 'pinned', label: 'Pinned', aliases: ['pinned', 'pin', 'favorite'] },
+    { key: 'secret', label: 'Secret', aliases: ['secret', 'sensitive'] }
+];
+
+const CODE_LANGUAGE_ALIASES = { js: 'javascript', jsx: 'javascript', ts: 'javascript', py: 'python', sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', text: 'plain', txt: 'plain' };
+
+const Adapters = {
+    csv: {
+        label: 'CSV',
+        extensions: ['csv', 'tsv'],
+        mime: 'text/csv',
+        // Spreadsheets run cells starting with these as formulas. Export prefixes them with `'`
+        // (as well as cells that already had such a prefix) and import drops one `'` again.
+        FORMULA_START: /^'*[=+\-@\t\r]/,
+
+        // RFC 4180: quoted fields may hold delimiters, newlines and doubled quotes
+        rows(text) {
+            const clean = text.replace(/^\uFEFF/, '');
+            const firstLine = clean.split(/\r?\n/, 1)[0];
+            const delimiter = [',', ';', '\t'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+            const rows = [];
+            let row = [], field = '', quoted = false;
+            for (let i = 0; i < clean.length; i++) {
+                const ch = clean[i];
+                if (quoted) {
+                    if (ch !== '"') field += ch;
+                    else if (clean[i + 1] === '"') field += clean[++i];
+                    else quoted = false;
+                } else if (ch === '"' && field === '') {
+                    quoted = true;
+                } else if (ch === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (ch === '\n' || ch === '\r') {
+                    if (ch === '\r' && clean[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += ch;
+                }
+            }
+            if (field || row.length) {
+                row.push(field);
+                rows.push(row);
+            }
+            return rows.filter(r => r.some(f => f.trim()));
+        },
+
+        renderOptions(text) {
+            const header = this.rows(text)[0] || [];
+            const names = header.map(h => h.trim().toLowerCase());
+            return CSV_FIELDS.map(field => {
+                let guess = names.findIndex(n => field.aliases.includes(n));
+                if (guess === -1 && field.key === 'content') guess = 0;
+                const options = header.map((h, i) => `<option value="${i}"${i === guess ? ' selected' : ''}>${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+                return `
+                    <div class="setting-item">
+                        <label class="form-label" for="csv-map-${field.key}">${field.label}</label>
+                        <select id="csv-map-${field.key}" class="setting-select" data-option="${field.key}">
+                            <option value="-1"${guess === -1 ? ' selected' : ''}>—</option>${options}
+                        </select>
+                    </div>`;
+            }).join('');
+        },
+
+        // The first row is the header; `options` maps field keys to column indexes
+        parse(text, options) {
+            if (!(Number(options.content) >= 0)) throw new Error('Choose the column that holds the content');
+            return this.rows(text).slice(1).map(row => {
+                const get = (key) => {
+                    const value = Number(options[key]) >= 0 ? (row[Number(options[key])] || '') : '';
+                    return value.startsWith("'") && this.FORMULA_START.test(value) ? value.slice(1) : value;
+                };
+                const html = get('html').trim();
+                const type = get('type').trim().toLowerCase() || (html ? 'html' : 'text');
+                const created = Date.parse(get('created'));
+                return {
+                    type,
+                    content: get('content') || (html ? RichText.toPlain(RichText.sanitize(html)) : ''),
+                    html: html || undefined,
+                    language: CODE_LANGUAGE_ALIASES[get('language').trim().toLowerCase()] || get('language').trim().toLowerCase(),
+                    metaText: get('caption').trim() || null,
+                    tags: get('tags').split(/[;,|]/).map(t => t.trim()).filter(Boolean),
+                    createdAt: Number.isFinite(created) ? created : undefined,
+                    pinned: /^(true|yes|1)$/i.test(get('pinned').trim()),
+                    secret: /^(true|yes|1)$/i.test(get('secret').trim())
+                };
+            });
+        },
+
+        serialize(snippets) {
+            const cell = (v) => {
+                if (this.FORMULA_START.test(v)) v = "'" + v;
+                return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+            };
+            const lines = [['type', 'content', 'html', 'language', 'caption', 'tags', 'created', 'pinned', 'secret'].join(',')];
+            snippets.forEach(s => lines.push([
+                s.type, s.content, s.html || '', s.language || '', s.type === 'image' ? (s.metaText || '') : '',
+                (s.tags || []).join(';'), new Date(s.createdAt).toISOString(), s.pinned ? 'true' : 'false', s.secret ? 'true' : 'false'
+            ].map(cell).join(',')));
+            return { content: lines.join('\r\n') + '\r\n', skipped: 0 };
+        }
+    },
+
+    // One snippet per section: a heading, an optional `<!-- modcore {...} -->` line with the
+    // metadata, then the body. Images are embedded as data URLs, code as fenced blocks.
+    markdown: {
+        label: 'Markdown',
+        extensions: ['md', 'markdown'],
+        mime: 'text/markdown',
+        META: /^<!--\s*modcore\s+(\{.*\})\s*-->$/,
+
+        parse(text) {
+            const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+            // Sections start at the level-2 headings when there are any, else at level 1
+            let fence = null;
+            const headings = lines.map(line => {
+                const marker = line.match(/^(`{3,}|~{3,})/);
+                if (marker && (!fence || marker[1].startsWith(fence))) fence = fence ? null : marker[1];
+                else if (!fence && /^#{1,2}\s/.test(line)) return line.match(/^#+/)[0].length;
+                return 0;
+            });
+            const level = headings.includes(2) ? 2 : 1;
+            if (!headings.includes(level)) return [this.toRecord(null, lines.join('\n'))];
+
+            const sections = [];
+            lines.forEach((line, i) => {
+                if (headings[i] === level) sections.push({ title: line.replace(/^#+\s*/, ''), body: [] });
+                else if (sections.length) sections[sections.length - 1].body.push(line);
+            });
+            return sections.map(section => this.toRecord(section.title, section.body.join('\n')));
+        },
+
+        toRecord(title, body) {
+            let meta = {};
+            body = body.trim();
+            const firstLine = body.split('\n', 1)[0];
+            const metaMatch = firstLine.match(this.META);
+            if (metaMatch) {
+                try {
+                    meta = JSON.parse(metaMatch[1]);
+                } catch (e) { /* treat as plain content */ }
+                body = body.slice(firstLine.length).trim();
+            }
+            const base = {
+                tags: Array.isArray(meta.tags) ? meta.tags : [],
+                createdAt: meta.createdAt,
+                pinned: meta.pinned === true,
+                secret: meta.secret === true
+            };
+
+            const image = body.match(/^!\[([^\]]*)\]\((data:image\/[^)\s]+)\)$/);
+            if (image) return { ...base, type: 'image', content: image[2], metaText: image[1] || null };
+
+            const fenced = body.match(/^(`{3,}|~{3,})([\w+#-]*)\n([\s\S]*?)\n\1$/);
+            if (fenced && (meta.type === 'text' || meta.type === 'template')) return { ...base, type: meta.type, content: fenced[3] };
+            if (fenced) {
+                const language = (fenced[2] || meta.language || '').toLowerCase();
+                return { ...base, type: 'code', content: fenced[3], language: CODE_LANGUAGE_ALIASES[language] || language };
+            }
+            if (meta.type === 'html') return { ...base, type: 'html', html: body, content: RichText.toPlain(RichText.sanitize(body)) };
+            return { ...base, type: meta.type === 'template' ? 'template' : 'text', content: body || title || '' };
+        },
+
+        serialize(snippets) {
+            const fenceFor = (text) => '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(m => m.length + 1)));
+            const sections = snippets.map(s => {
+                const meta = { type: s.type, tags: s.tags || [], createdAt: s.createdAt, pinned: !!s.pinned };
+                if (s.language) meta.language = s.language;
+                if (s.secret) meta.secret = true;
+                const title = isSecret(s) ? 'Secret' : listLabel(s).slice(0, 80) || 'Snippet';
+
+                let body;
+                if (s.type === 'image') body = `![${(s.metaText || '').replace(/[[\]\n]/g, ' ')}](${s.content})`;
+                else if (s.type === 'html') body = s.html;
+                else if (s.type === 'code') body = `${fenceFor(s.content)}${s.language || ''}\n${s.content}\n${fenceFor(s.content)}`;
+                // Text that would read as markdown structure is fenced so it round-trips
+                else if (/^(#|`{3}|~{3})/m.test(s.content)) body = `${fenceFor(s.content)}\n${s.content}\n${fenceFor(s.content)}`;
+                else body = s.content;
+
+                // `>` is escaped so a tag cannot close the comment
+                return `## ${title}\n<!-- modcore ${JSON.stringify(meta).replace(/>/g, '\\u003e')} -->\n\n${body}\n`;
+            });
+            return { content: `# modcore snippets\n\n${sections.join('\n')}`, skipped: 0 };
+        }
+    },
+
+    // Line-, blank-line- or delimiter-separated text; every piece becomes a text snippet
+    text: {
+        label: 'Plain text',
+        extensions: ['txt', 'text'],
+        mime: 'text/plain',
+        SEPARATOR: '\n---\n',
+
+        renderOptions(text) {
+            const guess = /^---$/m.test(text) ? 'custom' : /\n\s*\n/.test(text) ? 'blank' : 'line';
+            return `
+                <div class="setting-item">
+                    <label class="form-label" for="text-split">Split at</label>
+                    <select id="text-split" class="setting-select" data-option="split">
+                        <option value="line"${guess === 'line' ? ' selected' : ''}>Every line</option>
+                        <option value="blank"${guess === 'blank' ? ' selected' : ''}>Blank lines</option>
+                        <option value="custom"${guess === 'custom' ? ' selected' : ''}>Delimiter</option>
+                    </select>
+                </div>
+                <div class="setting-item">
+                    <label class="form-label" for="text-delimiter">Delimiter</label>
+                    <input type="text" id="text-delimiter" class="setting-select number-input" data-option="delimiter" value="---">
+                </div>`;
+        },
+
+        parse(text, options) {
+            const clean = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+            let pieces;
+            if (options.split === 'blank') pieces = clean.split(/\n\s*\n/);
+            else if (options.split === 'custom') {
+                if (!options.delimiter) throw new Error('Enter a delimiter');
+                pieces = clean.split(options.delimiter);
+            } else pieces = clean.split('\n');
+            return pieces.map(p => p.trim()).filter(Boolean).map(content => ({ type: 'text', content }));
+        },
+
+        serialize(snippets) {
+            const textual = snippets.filter(s => s.type !== 'image');
+            return { content: textual.map(s => s.content).join(this.SEPARATOR) + '\n', skipped: snippets.length - textual.length };
+        }
+    }
+};
+
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|webp|bmp);base64,[A-Za-z0-9+/]+=*$/;
+
+const IMAGE_META_FIELDS = ['thumbnail', 'hash', 'original'];
+
+function sanitizeImageMeta(item) {
+    const image = (v) => typeof v === 'string' && IMAGE_DATA_URL.test(v) ? v : null;
+    return {
+        thumbnail: image(item.thumbnail),
+        hash: typeof item.hash === 'string' && /^[A-Za-z0-9+/]{43}=$/.test(item.hash) ? item.hash : null,
+        original: image(item.original)
+    };
+}
+
+const SOURCE_METHODS = ['monitor', 'context-menu', 'manual'];
+
+// Only http(s) page URLs are kept; anything else is dropped rather than rendered
+function sanitizeSource(source) {
+    if (!source || typeof source !== 'object' || !SOURCE_METHODS.includes(source.method)) return null;
+    let url = null;
+    try {
+        const parsed = new URL(source.url);
+        if (parsed.protocol === 'http:' || parsed.protocol === 'https:') url = parsed.href;
+    } catch (e) { /* no usable URL */ }
+    const title = typeof source.title === 'string' ? source.title.slice(0, 300) : null;
+    return { url, title, method: source.method };
+}
+
+// Validates an untrusted record (import/backup) and returns a clean copy, or null if it is unusable
+function sanitizeSnippet(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+    if (!['text', 'template', 'html', 'code', 'image'].includes(item.type)) return null;
+    if (typeof item.content !== 'string' || !item.content) return null;
+    if (item.type === 'image' && !IMAGE_DATA_URL.test(item.content)) return null;
+    if (item.type === 'html' && typeof item.html !== 'string') return null;
+    if (item.metaText != null && typeof item.metaText !== 'string') return null;
+    if (item.tags != null && !Array.isArray(item.tags)) return null;
+
+    const time = (v, fallback) => Number.isFinite(v) ? v : fallback;
+    const createdAt = time(item.createdAt, time(item.date, Date.now()));
+
+    return createSnippet({
+        type: item.type,
+        content: item.content,
+        metaText: item.type === 'image' ? (item.metaText || null) : null,
+        tags: [...new Set((item.tags || []).filter(t => typeof t === 'string').map(normalizeTag).filter(Boolean))],
+        createdAt,
+        updatedAt: time(item.updatedAt, createdAt),
+        lastUsedAt: time(item.lastUsedAt, null),
+        copyCount: Number.isInteger(item.copyCount) && item.copyCount > 0 ? item.copyCount : 0,
+        pinned: item.pinned === true,
+        secret: item.type !== 'image' && item.secret === true,
+        transform: item.type !== 'image' ? Transforms.clean(item.transform) : null,
+        source: sanitizeSource(item.source),
+        ...(item.type === 'image' ? sanitizeImageMeta(item) : {}),
+        ...(item.type === 'html' ? { html: RichText.sanitize(item.html) } : {}),
+        ...(item.type === 'code' ? { language: Code.LANGUAGES[item.language] ? item.language : Code.detect(item.content) } : {})
+    });
+}
+
+// Erases the current vault (`'vault'`), or every vault and the registry (`'all'`)
+async function handleReset(scope = 'vault') {
+    if (scope === 'all') {
+        await chrome.storage.local.clear();
+        await Session.end();
+    } else {
+        await Vaults.wipe(Vaults.current); // Other vaults stay unlocked
+    }
     location.reload();
 }
 
@@ -554,18 +4013,67 @@ function escapeHtml(text) {
         .replace(/'/g, "&#039;");
 }
 
-function showToast(msg, type = 'success') {
+function formatDuration(ms) {
+    const total = Math.ceil(ms / 1000);
+    const m = Math.floor(total / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return `${m}:${sec}`;
+}
+
+// `action` ({ label, onClick }) adds a button, e.g. Undo, and keeps the toast up longer
+function showToast(msg, type = 'success', action = null) {
     const toast = document.createElement('div');
     toast.textContent = msg;
     toast.className = `toast toast-${type}`;
+    if (action) {
+        toast.classList.add('toast-action');
+        const btn = document.createElement('button');
+        btn.className = 'btn toast-btn';
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(btn);
+    }
     document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 3000);
+    setTimeout(() => toast.remove(), action ? 6000 : 3000);
 }
 
 function confirmAction(title, text, onConfirm) {
+    openDialog(title, text, [], () => { onConfirm(); });
+}
+
+// Dialog with input fields. `onSubmit(values)` may return (or resolve to) an error string to keep it open.
+function promptForm(title, text, fields, onSubmit) {
+    openDialog(title, text, fields, onSubmit);
+}
+
+function openDialog(title, text, fields, onSubmit) {
     const dialog = el('custom-dialog');
     el('dialog-title').textContent = title;
     el('dialog-text').textContent = text;
+
+    const fieldsEl = el('dialog-fields');
+    fieldsEl.innerHTML = '';
+    // Fields with `options` ([{ value, label }]) render as a select
+    const inputs = fields.map(f => {
+        let input;
+        if (f.options) {
+            input = document.createElement('select');
+            f.options.forEach(o => input.add(new Option(o.label, o.value)));
+        } else {
+            input = document.createElement('input');
+            input.type = f.type || 'text';
+            input.placeholder = f.placeholder || '';
+            input.autocomplete = 'off';
+        }
+        input.className = 'dialog-input';
+        input.name = f.name;
+        if (f.value) input.value = f.value;
+        fieldsEl.appendChild(input);
+        return input;
+    });
     
     const confirmBtn = el('dialog-confirm');
     const cancelBtn = el('dialog-cancel');
@@ -577,15 +4085,42 @@ function confirmAction(title, text, onConfirm) {
     cancelBtn.parentNode.replaceChild(newCancel, cancelBtn);
 
     dialog.classList.remove('hidden');
+    if (inputs[0]) inputs[0].focus();
 
-    newConfirm.addEventListener('click', () => {
-        onConfirm();
+    const close = () => {
         dialog.classList.add('hidden');
-    });
+        fieldsEl.innerHTML = ''; // Don't leave passphrases in the DOM
+    };
 
-    newCancel.addEventListener('click', () => {
-        dialog.classList.add('hidden');
-    });
+    let busy = false;
+    const submit = async () => {
+        if (busy) return;
+        const values = {};
+        inputs.forEach(i => values[i.name] = i.value);
+        // Close first so onSubmit can open a follow-up dialog
+        if (!inputs.length) {
+            close();
+            return onSubmit(values);
+        }
+        busy = true;
+        let error;
+        try {
+            error = await onSubmit(values);
+        } catch (e) {
+            error = e.message; // Keep the dialog open so the values can be corrected
+        } finally {
+            busy = false;
+        }
+        if (typeof error === 'string') return showToast(error, 'error');
+        close();
+    };
+
+    newConfirm.addEventListener('click', submit);
+    inputs.forEach(i => i.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submit();
+    }));
+
+    newCancel.addEventListener('click', close);
 }
 
 function setLoading(isLoading) {
@@ -1,38 +1,528 @@
-chrome.runtime.onInstalled.addListener(() => {
+importScripts('monitor-defaults.js');
+
+chrome.runtime.onInstalled.addListener(() => rebuildContextMenus());
+chrome.runtime.onStartup.addListener(() => rebuildContextMenus());
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === "save-secure" && info.selectionText) {
+        addToPending(info.selectionText, {
+            source: { url: info.pageUrl, title: tab ? tab.title : null, method: 'context-menu' }
+        });
+    } else if (info.menuItemId === "save-image" && info.srcUrl && tab) {
+        captureImageFromPage(info.srcUrl, tab, info.frameId, {
+            source: { url: info.pageUrl, title: tab ? tab.title : null, method: 'context-menu' }
+        });
+    } else if (info.menuItemId === INSERT_LOCKED_ID) {
+        chrome.action.openPopup().catch(() => {});
+    } else if (String(info.menuItemId).startsWith(INSERT_PREFIX) && tab) {
+        insertFromMenu(info.menuItemId.slice(INSERT_PREFIX.length), tab, info.frameId);
+    }
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.action === "autoSave" && msg.content) {
+        // Page details come from the sender, not the message, so a page can't spoof its origin
+        addToPending(msg.content, {
+            flagged: msg.flagged === true,
+            html: typeof msg.html === 'string' ? msg.html : undefined,
+            source: { url: sender.url || (sender.tab && sender.tab.url), title: sender.tab ? sender.tab.title : null, method: 'monitor' }
+        });
+    } else if (msg.action === "autoSaveImage" && msg.dataUrl) {
+        addImageFromDataUrl(msg.dataUrl, {
+            source: { url: sender.url || (sender.tab && sender.tab.url), title: sender.tab ? sender.tab.title : null, method: 'monitor' }
+        });
+    } else if (msg.action === "processImage" && msg.dataUrl) {
+        // Paste in the popup editor goes through the same pipeline as captured images.
+        // The processed image is sent back, so only extension pages may ask.
+        if (!isExtensionPage(sender)) return;
+        Promise.resolve(msg.dataUrl)
+            .then(dataUrlToBlob)
+            .then(blob => processImage(blob, { keepOriginal: true }))
+            .then(sendResponse, (e) => sendResponse({ error: e.message }));
+        return true; // Async response
+    } else if (msg.action === "scheduleClipboardClear" && msg.hash) {
+        if (!isExtensionPage(sender)) return; // Pages must not be able to open the offscreen document
+        scheduleClipboardClear(msg.hash, Number(msg.delayMs) || 0)
+            .then(() => sendResponse({ ok: true }), (e) => sendResponse({ error: e.message }));
+        return true; // Async response
+    } else if (msg.action === "clipboardClearDone") {
+        if (!clearsInFlight) chrome.offscreen.closeDocument().catch(() => {});
+    } else if (msg.action === "sessionTouch") {
+        armAutoLock();
+    } else if (msg.action === "sessionLock") {
+        lockSession();
+    } else if (msg.action === "monitorRules") {
+        getFromActiveVault(['monitoring', 'settings'])
+            .then(({ monitoring, settings }) => sendResponse(monitoring ? monitorRules(settings) : null));
+        return true; // Async response
+    } else if (msg.action === "paletteSearch" || msg.action === "paletteInsert") {
+        handlePaletteRequest(msg, sender).then(sendResponse);
+        return true; // Async response
+    }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === "open-palette" && tab) openPalette(tab);
+});
+
+// --- ACTIVE VAULT ---
+// Each named vault keeps its keys under its own prefix (empty for the first vault, see Vaults in
+// app.js). Clips are captured into the active vault, the one opened last in the popup.
+async function activeVaultPrefix() {
+    const { vaults } = await chrome.storage.local.get('vaults');
+    const active = vaults && vaults.list.find(v => v.id === vaults.active);
+    return active ? active.prefix : '';
+}
+
+// Reads unprefixed `names` from the active vault
+async function getFromActiveVault(names, area = chrome.storage.local) {
+    const prefix = await activeVaultPrefix();
+    const stored = await area.get(names.map(n => prefix + n));
+    return Object.fromEntries(names.map(n => [n, stored[prefix + n]]));
+}
+
+// --- CLIPBOARD MONITOR RULES ---
+// Served to the content script for the active vault, so it needs neither the defaults nor the vault prefixes.
+// MONITOR_DEFAULTS lives in monitor-defaults.js, shared with the popup.
+
+// Only the monitor keys leave the worker; the rest of the vault's settings stay private
+function monitorRules(settings = {}) {
+    return Object.fromEntries(Object.entries(MONITOR_DEFAULTS).map(([name, fallback]) => [name, settings[name] ?? fallback]));
+}
+
+// --- SESSION AUTO-LOCK ---
+// The popup parks the unlocked vault key in chrome.storage.session; we drop it
+// after the configured inactivity timeout or as soon as the device goes idle or locks.
+// Locking clears every vault's session key at once.
+const AUTO_LOCK_ALARM = "auto-lock";
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+async function autoLockMinutes() {
+    const { settings } = await getFromActiveVault(['settings']);
+    return (settings && settings.autoLockMinutes) || DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+async function armAutoLock() {
+    const minutes = await autoLockMinutes();
+    chrome.alarms.create(AUTO_LOCK_ALARM, { delayInMinutes: minutes });
+    chrome.idle.setDetectionInterval(Math.max(15, minutes * 60));
+}
+
+// The idle interval is not persisted: a restarted worker would fall back to 60 s and lock early
+autoLockMinutes().then(minutes => chrome.idle.setDetectionInterval(Math.max(15, minutes * 60)));
+
+async function lockSession() {
+    const stored = await chrome.storage.session.get(null);
+    await chrome.storage.session.remove(Object.keys(stored).filter(k => k.endsWith('sessionKey')));
+    await chrome.alarms.clear(AUTO_LOCK_ALARM);
+    paletteTokens.clear();
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AUTO_LOCK_ALARM) lockSession();
+});
+
+chrome.idle.onStateChanged.addListener((state) => {
+    if (state === "idle" || state === "locked") lockSession();
+});
+
+// --- UNLOCKED VAULT ACCESS ---
+// Reads the active vault's snippets with its session key while it is unlocked. Returns null when locked.
+const RECORD_PREFIX = 'snip:';
+
+async function readUnlockedSnippets() {
+    const { sessionKey } = await getFromActiveVault(['sessionKey'], chrome.storage.session);
+    if (!sessionKey) return null;
+
+    const key = await crypto.subtle.importKey('raw', fromBase64(sessionKey), 'AES-GCM', false, ['decrypt']);
+    const { storageFormat, vaultIndex } = await getFromActiveVault(['storageFormat', 'vaultIndex']);
+    if (storageFormat !== 2 || !vaultIndex) return [];
+
+    const ids = await decryptJson(vaultIndex, key);
+    const stored = await getFromActiveVault(ids.map(id => RECORD_PREFIX + id));
+    const snippets = [];
+    for (const id of ids) {
+        if (stored[RECORD_PREFIX + id]) snippets.push(await decryptJson(stored[RECORD_PREFIX + id], key));
+    }
+    return snippets;
+}
+
+async function decryptJson(obj, key) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(obj.iv) }, key, fromBase64(obj.content));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+function snippetTitle(snip) {
+    if (snip.secret) return '•••••••• (secret)';
+    const firstLine = snip.content.trim().split('\n')[0];
+    return firstLine.length > 60 ? firstLine.slice(0, 59) + '…' : firstLine;
+}
+
+// --- CONTEXT MENUS ---
+// "Insert from modcore" lists pinned, then recently used snippets by title. It is rebuilt
+// whenever the vault or session changes; while locked it only offers to unlock.
+const INSERT_PARENT_ID = "insert-parent";
+const INSERT_LOCKED_ID = "insert-locked";
+const INSERT_PREFIX = "insert:";
+const INSERT_MENU_LIMIT = 10;
+let menuBuild = Promise.resolve();
+let menuRebuildTimer = null;
+
+function rebuildContextMenus() {
+    // Serialized: overlapping removeAll/create calls would collide on item ids
+    menuBuild = menuBuild.then(buildContextMenus).catch((e) => console.warn('Context menu rebuild failed', e));
+    return menuBuild;
+}
+
+function scheduleMenuRebuild() {
+    clearTimeout(menuRebuildTimer);
+    menuRebuildTimer = setTimeout(rebuildContextMenus, 300);
+}
+
+async function buildContextMenus() {
+    await chrome.contextMenus.removeAll();
     chrome.contextMenus.create({
         id: "save-secure",
         title: "Save to modcore (Secure)",
         contexts: ["selection"]
     });
-});
+    chrome.contextMenus.create({
+        id: "save-image",
+        title: "Save image to modcore (Secure)",
+        contexts: ["image"]
+    });
+    chrome.contextMenus.create({
+        id: INSERT_PARENT_ID,
+        title: "Insert from modcore",
+        contexts: ["editable"]
+    });
 
-chrome.contextMenus.onClicked.addListener((info) => {
-    if (info.menuItemId === "save-secure" && info.selectionText) {
-        addToPending(info.selectionText);
+    const snippets = await readUnlockedSnippets().catch(() => null);
+    if (!snippets) {
+        chrome.contextMenus.create({
+            id: INSERT_LOCKED_ID,
+            parentId: INSERT_PARENT_ID,
+            title: "Vault locked — open modcore to unlock",
+            contexts: ["editable"]
+        });
+        return;
     }
-});
 
-chrome.runtime.onMessage.addListener((msg) => {
-    if (msg.action === "autoSave" && msg.content) {
-        addToPending(msg.content);
+    const recency = (s) => Math.max(s.updatedAt || 0, s.lastUsedAt || 0);
+    const entries = snippets
+        .filter(s => PALETTE_TYPES.includes(s.type))
+        .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || recency(b) - recency(a))
+        .slice(0, INSERT_MENU_LIMIT);
+
+    if (!entries.length) {
+        chrome.contextMenus.create({
+            id: "insert-empty",
+            parentId: INSERT_PARENT_ID,
+            title: "No snippets yet",
+            enabled: false,
+            contexts: ["editable"]
+        });
+    }
+    entries.forEach(snip => chrome.contextMenus.create({
+        id: INSERT_PREFIX + snip.id,
+        parentId: INSERT_PARENT_ID,
+        title: menuLabel((snip.pinned ? '★ ' : '') + (snippetTitle(snip) || '(empty)')),
+        contexts: ["editable"]
+    }));
+}
+
+// Menu titles treat `&` as a mnemonic marker and swap `%s` for the selected text. Chrome has
+// no escape for `%s` (a doubled `%%` shows as is), so a zero-width space breaks it up instead.
+function menuLabel(text) {
+    return text.replace(/&/g, '&&').replace(/%s/g, '%\u200Bs');
+}
+
+async function insertFromMenu(id, tab, frameId) {
+    const snippets = await readUnlockedSnippets().catch(() => null);
+    const snip = snippets && snippets.find(s => s.id === id && PALETTE_TYPES.includes(s.type));
+    if (!snip) return rebuildContextMenus(); // Locked or deleted since the menu was built
+
+    chrome.tabs.sendMessage(tab.id, { action: 'insertSnippet', content: snip.content }, { frameId: frameId || 0 })
+        .catch(() => {}); // No content script in that frame
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    const keys = Object.keys(changes);
+    // Any vault's keys may change; rebuilding reads only the active one
+    if (area === 'session') {
+        scheduleMenuRebuild();
+    } else if (area === 'local' && keys.some(k => k === 'vaults' || k.endsWith('vaultIndex') || k.includes(RECORD_PREFIX))) {
+        scheduleMenuRebuild();
     }
 });
 
-async function addToPending(content) {
-    // We cannot encrypt here because we don't have the PIN/Key.
-    // We save to a "pending" queue.
-    // The next time the user unlocks the popup, these are ingested and encrypted.
-    
-    const { pendingClips } = await chrome.storage.local.get('pendingClips');
-    const list = pendingClips || [];
-    
+// --- IN-PAGE PALETTE ---
+// Handshake: the shortcut hands the tab a one-off token. The content script must present it
+// (from the same tab) to search or insert, and only while the session is unlocked. Search
+// results carry titles only; full text is released for the single snippet being inserted.
+// Templates are left out since their fill-in form lives in the popup; rich text inserts its plain fallback.
+const PALETTE_TOKEN_TTL = 5 * 60 * 1000;
+const PALETTE_TYPES = ['text', 'html', 'code'];
+const paletteTokens = new Map(); // tabId -> { token, expires }
+
+async function openPalette(tab) {
+    const { sessionKey } = await getFromActiveVault(['sessionKey'], chrome.storage.session);
+    if (!sessionKey) {
+        chrome.tabs.sendMessage(tab.id, { action: 'openPalette', locked: true }).catch(() => {});
+        return;
+    }
+
+    const token = crypto.randomUUID();
+    paletteTokens.set(tab.id, { token, expires: Date.now() + PALETTE_TOKEN_TTL });
+    chrome.tabs.sendMessage(tab.id, { action: 'openPalette', token }).catch(() => {
+        paletteTokens.delete(tab.id); // No content script (e.g. chrome:// pages)
+    });
+}
+
+async function handlePaletteRequest(msg, sender) {
+    const tabId = sender.tab && sender.tab.id;
+    const grant = paletteTokens.get(tabId);
+    if (!grant || grant.token !== msg.token || grant.expires < Date.now()) return { error: 'expired' };
+
+    const snippets = await readUnlockedSnippets().catch(() => null);
+    if (!snippets) {
+        paletteTokens.delete(tabId);
+        return { error: 'locked' };
+    }
+    const usable = snippets.filter(s => PALETTE_TYPES.includes(s.type));
+
+    if (msg.action === 'paletteInsert') {
+        paletteTokens.delete(tabId); // One insert per shortcut press
+        const snip = usable.find(s => s.id === msg.id);
+        return snip ? { content: snip.content } : { error: 'missing' };
+    }
+
+    return { results: rankForPalette(usable, String(msg.query || '')).slice(0, 8) };
+}
+
+function rankForPalette(snippets, query) {
+    const q = query.trim().toLowerCase();
+    const recency = (s) => Math.max(s.updatedAt || 0, s.lastUsedAt || 0);
+    const scored = [];
+
+    for (const snip of snippets) {
+        let score = 0;
+        if (q) {
+            // Secrets are matched on their masked title and tags, so queries cannot probe their content
+            const text = snip.secret ? [snippetTitle(snip), ...(snip.tags || [])].join(' ') : snip.content;
+            score = fuzzyScore(text.toLowerCase(), q);
+            if (score <= 0) continue;
+        }
+        scored.push({ snip, score });
+    }
+
+    return scored
+        .sort((a, b) => (b.snip.pinned ? 1 : 0) - (a.snip.pinned ? 1 : 0) || b.score - a.score || recency(b.snip) - recency(a.snip))
+        .map(({ snip }) => ({ id: snip.id, title: snippetTitle(snip) }));
+}
+
+// Substring hits beat subsequence hits; earlier and tighter matches score higher
+function fuzzyScore(text, query) {
+    const idx = text.indexOf(query);
+    if (idx !== -1) return 2 - Math.min(idx, 100) / 100;
+
+    let from = 0, first = -1;
+    for (const ch of query) {
+        const i = text.indexOf(ch, from);
+        if (i === -1) return 0;
+        if (first === -1) first = i;
+        from = i + 1;
+    }
+    const tightness = query.length / (from - first);
+    return tightness < 0.3 ? 0 : tightness;
+}
+
+// Only kept in memory: a plaintext copy on disk would defeat sealing the queue.
+// Text clips compare by content, images by their content hash.
+let lastPendingContent = null;
+
+async function addToPending(content, extra = {}) {
+    await queuePending({ type: 'text', content, ...extra }, content);
+}
+
+async function queuePending(payload, dedupeKey) {
+    // We cannot encrypt with the vault key here because we don't have the PIN.
+    // Instead each clip is sealed to the vault's public key and queued;
+    // the next time the user unlocks the popup, these are opened with the private key and ingested.
+
     // Simple duplicate check
-    if (list.length > 0 && list[0].content === content) return;
+    if (dedupeKey === lastPendingContent) return;
+
+    // The queue and the key it is sealed to belong to the active vault
+    const prefix = await activeVaultPrefix();
+    const stored = await chrome.storage.local.get([prefix + 'pendingClips', prefix + 'pendingPublicKey']);
+    const pendingClips = stored[prefix + 'pendingClips'], pendingPublicKey = stored[prefix + 'pendingPublicKey'];
+    // Vaults created before sealing get a keypair on their next unlock. Until then clips are
+    // queued plain, as before sealing existed, and encrypted into the vault at that unlock.
+    const clip = { ...payload, timestamp: Date.now() };
+    const list = pendingClips || [];
+    list.unshift(pendingPublicKey ? await sealForVault(clip, pendingPublicKey) : clip);
+    lastPendingContent = dedupeKey;
 
-    list.unshift({ content, timestamp: Date.now() });
-    
-    // Keep pending list small to avoid storage bloat (unencrypted)
+    // Keep pending list small to avoid storage bloat
     if (list.length > 20) list.pop();
 
-    await chrome.storage.local.set({ pendingClips: list });
+    await chrome.storage.local.set({ [prefix + 'pendingClips']: list });
+}
+
+// --- CLIPBOARD AUTO-CLEAR ---
+// The popup sends a hash of a copied secret. Service workers cannot touch the clipboard and may
+// be stopped before the delay is up, so the offscreen document keeps the timer, clears the
+// clipboard if it still holds the secret, and asks to be closed afterwards.
+const OFFSCREEN_URL = 'offscreen.html';
+let offscreenReady = null;
+let clearsInFlight = 0;     // Schedules not yet handed to the document; it must stay open for them
+
+async function scheduleClipboardClear(hash, delayMs) {
+    clearsInFlight++;
+    try {
+        await openOffscreen();
+        await chrome.runtime.sendMessage({ target: 'offscreen', action: 'clearClipboardLater', hash, delayMs });
+    } finally {
+        clearsInFlight--;
+    }
+}
+
+async function openOffscreen() {
+    if (!offscreenReady) {
+        offscreenReady = chrome.offscreen.hasDocument()
+            .then(open => open || chrome.offscreen.createDocument({
+                url: OFFSCREEN_URL,
+                reasons: ['CLIPBOARD'],
+                justification: 'Clear copied secrets from the clipboard'
+            }))
+            .finally(() => { offscreenReady = null; });
+    }
+    await offscreenReady;
+}
+
+// --- IMAGE PIPELINE ---
+// Images are downscaled / recompressed (OffscreenCanvas) until they fit the configured size cap,
+// get a small thumbnail for the list, and a SHA-256 of the source bytes for dedupe. The original
+// is only carried along when asked for (per paste in the editor, or the capture setting).
+const IMAGE_DEFAULTS = { imageMaxKB: 500, imageMaxDimension: 1920, keepOriginalImages: false };
+const THUMBNAIL_SIZE = 240;
+const STORABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'];
+const IMAGE_DATA_URL = /^data:(image\/[\w.+-]+);base64,/;
+
+function isExtensionPage(sender) {
+    return !!sender.url && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+// Decoded without fetch(), so a message can never make the worker load a URL
+function dataUrlToBlob(dataUrl) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(IMAGE_DATA_URL);
+    if (!match) throw new Error('Not an image data URL');
+    return new Blob([fromBase64(dataUrl.slice(match[0].length))], { type: match[1] });
+}
+
+// The worker has no host access: the page's content script loads the image (same-origin or
+// CORS-enabled images only) and hands it over as a data URL
+async function captureImageFromPage(srcUrl, tab, frameId, extra) {
+    let dataUrl = srcUrl;
+    if (!IMAGE_DATA_URL.test(srcUrl)) {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'readImage', url: srcUrl }, { frameId: frameId || 0 })
+            .catch(() => null); // No content script in that frame
+        dataUrl = response && response.dataUrl;
+    }
+    if (dataUrl) await addImageFromDataUrl(dataUrl, extra);
+}
+
+async function addImageFromDataUrl(dataUrl, extra = {}) {
+    try {
+        const blob = dataUrlToBlob(dataUrl);
+
+        const { settings } = await getFromActiveVault(['settings']);
+        const { keepOriginalImages } = { ...IMAGE_DEFAULTS, ...settings };
+        const image = await processImage(blob, { keepOriginal: keepOriginalImages });
+        await queuePending({ type: 'image', ...image, ...extra }, image.hash);
+    } catch (e) {
+        console.warn('Image capture failed', e);
+    }
+}
+
+async function processImage(blob, { keepOriginal = false } = {}) {
+    const { settings } = await getFromActiveVault(['settings']);
+    const { imageMaxKB, imageMaxDimension } = { ...IMAGE_DEFAULTS, ...settings };
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const hash = toBase64(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+
+    const bitmap = await createImageBitmap(blob);
+    const longest = Math.max(bitmap.width, bitmap.height);
+    const cap = imageMaxKB > 0 ? imageMaxKB * 1024 : Infinity;
+
+    let output = blob;
+    if (blob.size > cap || longest > imageMaxDimension || !STORABLE_IMAGE_TYPES.includes(blob.type)) {
+        let dimension = Math.min(longest, imageMaxDimension);
+        let quality = 0.85;
+        output = await encodeImage(bitmap, dimension, quality);
+        // Trade quality first, then resolution, until the image fits
+        for (let attempt = 0; output.size > cap && attempt < 8; attempt++) {
+            if (quality > 0.55) quality -= 0.1;
+            else dimension = Math.round(dimension * 0.75);
+            output = await encodeImage(bitmap, dimension, quality);
+        }
+    }
+
+    const thumbnail = await encodeImage(bitmap, THUMBNAIL_SIZE, 0.7);
+    bitmap.close();
+
+    return {
+        content: await blobToDataUrl(output),
+        thumbnail: await blobToDataUrl(thumbnail),
+        hash,
+        original: keepOriginal && output !== blob ? await blobToDataUrl(blob) : null
+    };
+}
+
+async function encodeImage(bitmap, maxDimension, quality) {
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas.convertToBlob({ type: 'image/webp', quality });
+}
+
+async function blobToDataUrl(blob) {
+    return `data:${blob.type};base64,` + toBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+const PENDING_ALGO = { name: 'ECDH', namedCurve: 'P-256' };
+
+async function sealForVault(payload, publicJwk) {
+    const vaultKey = await crypto.subtle.importKey('jwk', publicJwk, PENDING_ALGO, false, []);
+    const ephemeral = await crypto.subtle.generateKey(PENDING_ALGO, true, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+        { name: 'ECDH', public: vaultKey }, ephemeral.privateKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt']
+    );
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const content = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    return {
+        epk: await crypto.subtle.exportKey('jwk', ephemeral.publicKey),
+        iv: toBase64(iv),
+        content: toBase64(new Uint8Array(content))
+    };
+}
+
+function fromBase64(str) {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// Chunked to stay below the argument limit of String.fromCharCode on large images
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
 }
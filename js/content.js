@@ -1,18 +1,318 @@
-document.addEventListener('copy', async () => {
-    const { monitoring } = await chrome.storage.local.get('monitoring');
-    if (!monitoring) return;
+// --- CLIPBOARD MONITOR ---
+// Copies are forwarded only if the site passes the allow/deny rules, the copy did not come
+// from a password field, the length is within bounds and no enabled secret detector fires
+// (or, with secretAction 'flag', they are forwarded marked as a possible secret).
+const MAX_HTML_LENGTH = 200000;
+
+const SECRET_DETECTORS = {
+    card: (text) => (text.match(/\b(?:\d[ -]?){12,18}\d\b/g) || []).some(m => luhnValid(m.replace(/\D/g, ''))),
+    jwt: (text) => /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/.test(text),
+    aws: (text) => /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/.test(text) || /aws_secret_access_key\s*[=:]\s*[A-Za-z0-9/+]{40}/i.test(text),
+    github: (text) => /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}\b/.test(text) || /\bgithub_pat_[A-Za-z0-9_]{22,}\b/.test(text),
+    privateKey: (text) => /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/.test(text)
+};
+
+function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// For the "Save image" context menu: the worker has no host access of its own
+async function readImage(url) {
+    const blob = await (await fetch(url)).blob();
+    if (!blob.type.startsWith('image/')) return {};
+    return { dataUrl: await readAsDataUrl(blob) };
+}
+
+// What the copy carries, read from the selection while the event runs. clipboard.read() is only
+// needed when it may hold an image: one is selected, or no text is (e.g. a page script copied it).
+function describeCopy() {
+    const field = document.activeElement;
+    if (field && (field.tagName === 'TEXTAREA' || field.tagName === 'INPUT')) return { mayHaveImage: false };
+
+    const selection = window.getSelection();
+    if (!selection || !selection.rangeCount || !selection.toString().trim()) return { mayHaveImage: true };
+    const box = document.createElement('div');
+    box.appendChild(selection.getRangeAt(0).cloneContents());
+    const html = box.innerHTML;
+    return { mayHaveImage: !!box.querySelector('img'), html: html.length <= MAX_HTML_LENGTH ? html : undefined };
+}
+
+function luhnValid(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+function domainMatches(host, list) {
+    return list.some(d => host === d || host.endsWith('.' + d));
+}
+
+function siteAllowed(rules) {
+    const host = location.hostname.toLowerCase();
+    if (domainMatches(host, rules.monitorDeny)) return false;
+    return rules.monitorMode !== 'allowlist' || domainMatches(host, rules.monitorAllow);
+}
+
+function fromPasswordField(e) {
+    const node = e.target instanceof Element ? e.target : document.activeElement;
+    return !!node && node.tagName === 'INPUT' && node.type === 'password';
+}
+
+document.addEventListener('copy', async (e) => {
+    if (fromPasswordField(e)) return;
+    const copied = describeCopy();
+
+    // The worker answers for the active vault, defaults filled in; null while monitoring is off
+    let rules = null;
+    try {
+        rules = await chrome.runtime.sendMessage({ action: 'monitorRules' });
+    } catch (e) {} // Worker unreachable (extension reloaded)
+    if (!rules) return;
+    if (!siteAllowed(rules)) return;
 
     setTimeout(async () => {
         try {
+            // Image-only copies (no text alongside) are captured as images
+            if (copied.mayHaveImage) {
+                const items = await navigator.clipboard.read();
+                const imageItem = items.find(i => i.types.some(t => t.startsWith('image/')) && !i.types.includes('text/plain'));
+                if (imageItem) {
+                    const blob = await imageItem.getType(imageItem.types.find(t => t.startsWith('image/')));
+                    chrome.runtime.sendMessage({ action: 'autoSaveImage', dataUrl: await readAsDataUrl(blob) });
+                    return;
+                }
+            }
+
             const text = await navigator.clipboard.readText();
-            if (text && text.trim().length > 0) {
-                chrome.runtime.sendMessage({
-                    action: 'autoSave',
-                    content: text
-                });
+            const length = text ? text.trim().length : 0;
+            if (length === 0 || length < rules.monitorMinLength || length > rules.monitorMaxLength) return;
+
+            let flagged = false;
+            if (rules.secretAction !== 'off') {
+                const hit = rules.secretDetectors.some(name => SECRET_DETECTORS[name] && SECRET_DETECTORS[name](text));
+                if (hit && rules.secretAction === 'drop') return;
+                flagged = hit;
             }
+
+            // Markup of the selection travels along so formatted copies can be kept as rich text
+            chrome.runtime.sendMessage({
+                action: 'autoSave',
+                content: text,
+                html: copied.html,
+                flagged
+            });
         } catch (e) {
             // Ignore permission errors
         }
     }, 200);
 });
+
+// --- SNIPPET PALETTE ---
+// Opened by the background worker on the keyboard shortcut. Results and snippet text are
+// fetched through the background with the one-off token it sent, and the UI lives in a
+// closed shadow root so page scripts cannot query it.
+let palette = null;
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.action === 'openPalette') openPalette(msg);
+    // From the "Insert from modcore" context menu; the field is still focused at this point
+    else if (msg.action === 'insertSnippet') insertText(captureInsertTarget(), msg.content);
+    else if (msg.action === 'readImage') {
+        readImage(msg.url).then(sendResponse, () => sendResponse({}));
+        return true; // Async response
+    }
+});
+
+const PALETTE_STYLE = `
+    .backdrop { position: fixed; inset: 0; background: rgba(0,0,0,0.25); display: flex; justify-content: center; align-items: flex-start; padding-top: 15vh; font-family: system-ui, sans-serif; }
+    .panel { width: 420px; max-width: 90vw; background: #fff; color: #1c1c1e; border-radius: 14px; box-shadow: 0 8px 24px rgba(0,0,0,0.2); overflow: hidden; }
+    .query { width: 100%; box-sizing: border-box; border: none; border-bottom: 1px solid #e5e5ea; padding: 14px 16px; font-size: 15px; outline: none; }
+    .results { list-style: none; margin: 0; padding: 6px; max-height: 320px; overflow-y: auto; }
+    .results li { padding: 8px 10px; border-radius: 8px; font-size: 13px; cursor: pointer; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .results li[aria-selected="true"] { background: #e5f1ff; color: #007aff; }
+    .hint { padding: 8px 16px; font-size: 11px; color: #8e8e93; border-top: 1px solid #f2f2f7; }
+`;
+
+function openPalette({ token, locked }) {
+    closePalette();
+    const target = captureInsertTarget();
+
+    const host = document.createElement('div');
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+        <style>${PALETTE_STYLE}</style>
+        <div class="backdrop">
+            <div class="panel" role="dialog" aria-label="modcore snippets">
+                <input class="query" placeholder="Search snippets..." aria-label="Search snippets" autocomplete="off">
+                <ul class="results" role="listbox"></ul>
+                <div class="hint">↑↓ to navigate · Enter to insert · Esc to close</div>
+            </div>
+        </div>
+    `;
+    document.documentElement.appendChild(host);
+
+    const input = root.querySelector('.query');
+    const list = root.querySelector('.results');
+    const hint = root.querySelector('.hint');
+    palette = { host, token, target, results: [], selected: 0, list, hint, seq: 0 };
+
+    root.querySelector('.backdrop').addEventListener('mousedown', (e) => {
+        if (e.target === e.currentTarget) closePalette();
+    });
+    input.addEventListener('keydown', handlePaletteKey);
+    input.addEventListener('input', () => searchPalette(input.value));
+
+    if (locked) {
+        input.disabled = true;
+        hint.textContent = 'Vault is locked. Open modcore Clipboard and unlock it first.';
+        return;
+    }
+    input.focus();
+    searchPalette('');
+}
+
+function closePalette() {
+    if (!palette) return;
+    palette.host.remove();
+    palette = null;
+}
+
+async function searchPalette(query) {
+    const current = palette;
+    const seq = ++current.seq;
+    let res = null;
+    try {
+        res = await chrome.runtime.sendMessage({ action: 'paletteSearch', token: current.token, query });
+    } catch (e) {} // Worker unreachable (extension reloaded); reported as an expired session below
+    if (palette !== current || seq !== current.seq) return; // Closed or superseded
+
+    if (!res || res.error) {
+        current.results = [];
+        renderPalette();
+        current.hint.textContent = res && res.error === 'locked'
+            ? 'Vault is locked. Open modcore Clipboard and unlock it first.'
+            : 'Session expired. Press the shortcut again.';
+        return;
+    }
+    current.results = res.results;
+    current.selected = 0;
+    renderPalette();
+}
+
+function renderPalette() {
+    const { list, results, selected } = palette;
+    list.innerHTML = '';
+    results.forEach((r, i) => {
+        const li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', i === selected);
+        li.textContent = r.title || '(empty)';
+        li.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            insertFromPalette(r.id);
+        });
+        list.appendChild(li);
+    });
+    if (!results.length) {
+        const li = document.createElement('li');
+        li.textContent = 'No snippets found';
+        list.appendChild(li);
+    }
+    const active = list.children[selected];
+    if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function handlePaletteKey(e) {
+    e.stopPropagation(); // Keep page shortcuts out of the palette
+    const count = palette.results.length;
+    if (e.key === 'Escape') {
+        closePalette();
+    } else if (e.key === 'ArrowDown' && count) {
+        e.preventDefault();
+        palette.selected = (palette.selected + 1) % count;
+        renderPalette();
+    } else if (e.key === 'ArrowUp' && count) {
+        e.preventDefault();
+        palette.selected = (palette.selected - 1 + count) % count;
+        renderPalette();
+    } else if (e.key === 'Enter' && count) {
+        e.preventDefault();
+        insertFromPalette(palette.results[palette.selected].id);
+    }
+}
+
+async function insertFromPalette(id) {
+    const { token, target } = palette;
+    closePalette();
+    try {
+        const res = await chrome.runtime.sendMessage({ action: 'paletteInsert', token, id });
+        if (res && typeof res.content === 'string') insertText(target, res.content);
+    } catch (e) {
+        console.warn('Palette insert failed', e);
+    }
+}
+
+// --- TEXT INSERTION ---
+
+// email inputs are left out: they expose no selection API, so setRangeText throws
+const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel', ''];
+
+function isEditable(node) {
+    if (!node) return false;
+    if (node.tagName === 'TEXTAREA') return !node.readOnly && !node.disabled;
+    if (node.tagName === 'INPUT') {
+        return TEXT_INPUT_TYPES.includes((node.getAttribute('type') || '').toLowerCase()) && !node.readOnly && !node.disabled;
+    }
+    return node.isContentEditable;
+}
+
+// Remembers the focused field and caret before the palette steals focus
+function captureInsertTarget() {
+    const node = document.activeElement;
+    if (!isEditable(node)) return null;
+    if (node.isContentEditable) {
+        const sel = window.getSelection();
+        return { node, range: sel.rangeCount ? sel.getRangeAt(0).cloneRange() : null };
+    }
+    return { node, start: node.selectionStart, end: node.selectionEnd };
+}
+
+function insertText(target, text) {
+    if (!target || !target.node.isConnected) return;
+    const { node } = target;
+    node.focus();
+
+    if (!node.isContentEditable) {
+        node.setRangeText(text, target.start ?? node.value.length, target.end ?? node.value.length, 'end');
+        node.dispatchEvent(new Event('input', { bubbles: true }));
+        return;
+    }
+
+    const sel = window.getSelection();
+    if (target.range) {
+        sel.removeAllRanges();
+        sel.addRange(target.range);
+    }
+    // execCommand keeps the editor's undo stack and input events; fall back to a raw range insert
+    if (!document.execCommand('insertText', false, text) && sel.rangeCount) {
+        const range = sel.getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(document.createTextNode(text));
+        range.collapse(false);
+        node.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+}
@@ -0,0 +1,11 @@
+// --- CLIPBOARD MONITOR DEFAULTS ---
+// Shared by the popup (settings) and the background worker (rules sent to the content script)
+const MONITOR_DEFAULTS = {
+    monitorMode: 'all',         // 'all' (except denied) | 'allowlist'
+    monitorAllow: [],
+    monitorDeny: [],
+    monitorMinLength: 1,
+    monitorMaxLength: 20000,
+    secretAction: 'drop',       // 'drop' | 'flag' | 'off'
+    secretDetectors: ['card', 'jwt', 'aws', 'github', 'privateKey']
+};
@@ -0,0 +1,57 @@
+// --- CLIPBOARD AUTO-CLEAR ---
+// Offscreen document opened by the background worker. Only a hash of the copied secret is kept;
+// a newer copy replaces the pending clear, since the clipboard can only hold one value.
+let clearTimer = null;
+
+chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.target !== 'offscreen' || msg.action !== 'clearClipboardLater') return;
+    clearTimeout(clearTimer);
+    clearTimer = setTimeout(() => {
+        clearTimer = null;
+        clearIfUnchanged(msg.hash);
+    }, msg.delayMs);
+});
+
+async function clearIfUnchanged(hash) {
+    try {
+        const text = readClipboard();
+        if (text && await sha256(text.replace(/\r\n?/g, '\n')) === hash) writeClipboard('');
+    } catch (e) {
+        console.warn('Clipboard clear failed', e);
+    } finally {
+        // A copy made while this one ran has its own timer; closing now would drop it
+        if (!clearTimer) chrome.runtime.sendMessage({ action: 'clipboardClearDone' });
+    }
+}
+
+// Offscreen documents have no focus for the async clipboard API, so this goes through execCommand
+function readClipboard() {
+    let text = '';
+    const buffer = document.getElementById('clipboard-buffer');
+    const onPaste = (e) => {
+        e.preventDefault();
+        text = e.clipboardData.getData('text/plain');
+    };
+    buffer.addEventListener('paste', onPaste, { once: true });
+    buffer.focus();
+    document.execCommand('paste');
+    buffer.removeEventListener('paste', onPaste);
+    return text;
+}
+
+function writeClipboard(text) {
+    const onCopy = (e) => {
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', text);
+    };
+    document.addEventListener('copy', onCopy, { once: true });
+    document.execCommand('copy');
+    document.removeEventListener('copy', onCopy);
+}
+
+async function sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    let binary = '';
+    new Uint8Array(digest).forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}